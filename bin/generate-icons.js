@@ -1,310 +1,292 @@
 #!/usr/bin/env node
-import fs from "fs-extra";
 import path from "path";
-import { glob } from "glob";
-import { optimize, loadConfig as loadSvgoConfig } from "svgo";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
 import inquirer from "inquirer";
 import kleur from "kleur";
-import { createSvelteIconComponent } from "../src/templates/svelteIconTemplate.js";
-import { createSvgIconLoaderComponent } from "../src/templates/svgIconLoaderTemplate.js";
-const SCRIPT_NAME = "svelte-svg-gen";
-const DEFAULT_OUTPUT_DIR = "src/lib/svg-icons";
-const COMPONENTS_SUBDIR = "components";
-const LOADER_NAME = "SvgIcon";
-const TYPE_NAME = "SvgName";
-// --- Helper Functions ---
-function sanitizeName(name) {
-  const baseName = name
-    .replace(/\.svg$/i, "")
-    .replace(/[^a-zA-Z0-9_-]/g, "-")
-    .replace(/-{2,}/g, "-")
-    .replace(/^-+|-+$/g, "")
-    .toLowerCase();
-  if (!baseName) {
-    return null;
-  }
-  const componentName = baseName
-    .split(/[-_]/)
-    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
-    .join("");
-  return {
-    baseName: baseName,
-    componentName: componentName,
-  };
+import {
+  SCRIPT_NAME,
+  DEFAULT_OUTPUT_DIR,
+  COMPONENTS_SUBDIR,
+  LOADER_NAME,
+  TYPE_NAME,
+  DEFAULT_BASE_CLASS,
+  CONFIG_FILE_NAMES,
+  resolveSvelteTarget,
+  loadProjectConfig,
+  normalizeIconSet,
+  resolveIconSets,
+} from "../src/config.js";
+import { sanitizeName, resolveInputSources } from "../src/sources.js";
+import { regenerateFilesFromComponents, generateIconSet } from "../src/generator.js";
+import { watchIconSet } from "../src/watch.js";
+import { createOutputWriter } from "../src/output.js";
+import { compareWithDisk } from "../src/check.js";
+import { lintIconSet } from "../src/lint.js";
+import { formatSizeReport } from "../src/stats.js";
+// Asks whether the components that already exist should be overwritten
+async function promptToOverwrite(conflicts) {
+  const overwriteAnswer = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "overwrite",
+      message: `Do you want to overwrite these ${conflicts.length} existing component file(s)?`,
+      default: false,
+    },
+  ]);
+  return overwriteAnswer.overwrite;
 }
-async function loadSvgoConfiguration(configPath) {
-  const defaultSvgoConfig = {
-    multipass: true,
-    plugins: [
-      { name: "preset-default", params: { overrides: { removeViewBox: false } } },
-      { name: "removeAttrs", params: { attrs: "(stroke|style)" } },
-      {
-        name: "addAttributesToSVGElement",
-        params: { attributes: [{ focusable: "false" }, { "aria-hidden": "true" }] },
-      },
-      { name: "removeUselessStrokeAndFill" },
-    ],
-  };
-  if (configPath) {
-    try {
-      const resolvedPath = path.resolve(process.cwd(), configPath);
-      if (await fs.pathExists(resolvedPath)) {
-        let configModule;
-        if (resolvedPath.endsWith(".js") || resolvedPath.endsWith(".mjs")) {
-          configModule = (await import(`file://${resolvedPath}`)).default;
-        } else {
-          configModule = await loadSvgoConfig(resolvedPath);
-        }
-        if (configModule) {
-          console.log(kleur.green(`✔ Loaded custom SVGO config:`), kleur.dim(resolvedPath));
-          if (typeof configModule === "object" && configModule !== null) {
-            return {
-              ...defaultSvgoConfig,
-              ...configModule,
-              plugins: configModule.plugins || defaultSvgoConfig.plugins,
-            };
-          }
-          return configModule;
-        } else {
-          console.warn(
-            kleur.yellow(`⚠ Custom SVGO config at ${resolvedPath} loaded as null/undefined. Using defaults.`)
-          );
-        }
-      } else {
-        console.warn(kleur.yellow(`⚠ Custom SVGO config not found at ${resolvedPath}. Using defaults.`));
-      }
-    } catch (error) {
-      console.error(kleur.red(`✖ Error loading SVGO config from ${configPath}:`), error);
-      console.warn(kleur.yellow("Using default SVGO configuration."));
-    }
+// Asks whether icons with the same markup as another icon should become aliases of it
+async function promptToAlias(duplicates) {
+  const aliasAnswer = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "alias",
+      message: `Do you want to turn these ${duplicates.length} duplicate icon(s) into aliases?`,
+      default: false,
+    },
+  ]);
+  return aliasAnswer.alias;
+}
+// Prompts are only shown on a terminal, and never with --yes, --no-interactive (e.g. in CI) or --check
+function isInteractive(argv) {
+  return argv.interactive && !argv.yes && !argv.check && Boolean(process.stdin.isTTY);
+}
+function resolveConflictPolicy(argv) {
+  if (argv.check) return "overwrite";
+  if (argv.onConflict) return argv.onConflict;
+  if (argv.watch || argv.yes) return "overwrite";
+  return isInteractive(argv) ? promptToOverwrite : "skip";
+}
+function resolveDuplicatePolicy(argv) {
+  if (argv.onDuplicate) return argv.onDuplicate;
+  return isInteractive(argv) && !argv.watch ? promptToAlias : "keep";
+}
+// In --check mode (and for JSON lint output, which owns stdout) the generation log is noise; only warnings
+// and errors are shown
+function createRunLogger(argv) {
+  return argv.check || isJsonLint(argv) ? { log() {}, warn: console.warn, error: console.error } : console;
+}
+function isJsonLint(argv) {
+  return argv.lint && argv.lintFormat === "json";
+}
+// `emptySets` lists the sets (null for the CLI input) whose inputs resolved to no SVG at all: they fail the
+// check, since whatever was generated from them can only be stale
+async function reportCheck(output, emptySets = []) {
+  const differences = await compareWithDisk(output.planned);
+  for (const setName of emptySets) {
+    console.error(kleur.bold().red(`✖ No valid SVG sources found${setName ? ` for icon set "${setName}"` : ""}.`));
+  }
+  if (differences.length === 0) {
+    if (emptySets.length > 0) return false;
+    console.log(kleur.bold().green("✔ Generated icons are up to date."));
+    return true;
   }
-  return defaultSvgoConfig;
+  console.error(kleur.bold().red(`✖ ${differences.length} generated file(s) are out of date:`));
+  for (const difference of differences) {
+    const file = path.relative(process.cwd(), difference.file);
+    if (difference.status === "added") console.error(kleur.green("  + added   "), file);
+    else if (difference.status === "removed") console.error(kleur.red("  - removed "), file);
+    else console.error(kleur.yellow("  ~ changed "), file, kleur.dim(`(+${difference.added} -${difference.removed} lines)`));
+  }
+  console.error(kleur.cyan(`\nRun npx ${SCRIPT_NAME} without --check to update them.`));
+  return false;
 }
-async function fetchSvgContent(url) {
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+// Reports a dry run or check and sets a non-zero exit code when any source failed or a check found differences
+async function reportOutcome(argv, output, failedCount, emptySets = []) {
+  if (argv.check) {
+    if (!(await reportCheck(output, emptySets))) process.exitCode = 1;
+  } else if (output.dryRun) {
+    console.log(kleur.bold().yellow(`\nDry run: nothing was written. ${output.planned.length} planned change(s):`));
+    for (const { action, file } of output.planned) {
+      const label = action === "delete" ? kleur.red("  delete ") : kleur.green("  write  ");
+      console.log(label, kleur.dim(path.relative(process.cwd(), file)));
     }
-    const content = await response.text();
-    const urlPath = new URL(url).pathname;
-    const potentialName = path.basename(urlPath) || `graphic-${Date.now()}`;
-    return { content, potentialName };
-  } catch (error) {
-    console.error(kleur.red(`✖ Failed to fetch SVG from ${url}:`), error.message);
-    return null;
+  }
+  if (failedCount > 0) {
+    console.error(kleur.red(`\n✖ ${failedCount} source(s) failed.`));
+    process.exitCode = 1;
   }
 }
-async function resolveInputSources(inputs) {
-  const sources = [];
-  const cwd = process.cwd();
-  if (!inputs || inputs.length === 0) {
-    return [];
-  }
-  for (let input of inputs) {
-    input = input.replace(/^"|"$/g, '');
-
-    if (input.startsWith("http://") || input.startsWith("https://")) {
-      console.log(kleur.cyan(`→ Fetching SVG from URL:`), input);
-      const result = await fetchSvgContent(input);
-      if (result && result.content) {
-        const names = sanitizeName(result.potentialName);
-        if (!names) {
-          console.warn(kleur.yellow(`⚠ Could not derive a valid name from URL ${input}. Skipping.`));
-          continue;
-        }
-        sources.push({
-          type: "url",
-          origin: input,
-          content: result.content,
-          baseName: names.baseName,
-          componentName: names.componentName,
-        });
-      }
-    } else {
-      const absolutePath = path.resolve(cwd, input);
-      if (!(await fs.pathExists(absolutePath))) {
-        console.warn(kleur.yellow(`⚠ Input path not found, skipping: ${input}`));
-        continue;
-      }
-      try {
-        const stats = await fs.stat(absolutePath);
-        if (stats.isFile() && absolutePath.toLowerCase().endsWith(".svg")) {
-          console.log(kleur.cyan(`→ Processing SVG file:`), input);
-          const names = sanitizeName(path.basename(absolutePath));
-          if (!names) {
-            console.warn(kleur.yellow(`⚠ Could not derive a valid name from file ${input}. Skipping.`));
-            continue;
-          }
-          sources.push({
-            type: "file",
-            origin: input,
-            path: absolutePath,
-            baseName: names.baseName,
-            componentName: names.componentName,
-          });
-        } else if (stats.isDirectory()) {
-          console.log(kleur.cyan(`→ Searching for SVGs in directory:`), input);
-          const pattern = path.join(absolutePath, "**", "*.svg").replace(/\\/g, "/");
-          const files = await glob(pattern, { ignore: "**/node_modules/**", nodir: true });
-          if (files.length === 0) {
-            console.log(kleur.gray(`  No SVG files found in ${input}.`));
-          } else {
-            console.log(kleur.gray(`  Found ${files.length} SVG files.`));
-            for (const file of files) {
-              const names = sanitizeName(path.basename(file));
-              if (!names) {
-                console.warn(kleur.yellow(`⚠ Could not derive a valid name from file ${file}. Skipping.`));
-                continue;
-              }
-              sources.push({
-                type: "file",
-                origin: path.relative(cwd, file),
-                path: file,
-                baseName: names.baseName,
-                componentName: names.componentName,
-              });
-            }
-          }
-        } else {
-          console.warn(kleur.yellow(`⚠ Input path is neither a .svg file nor a directory, skipping: ${input}`));
-        }
-      } catch (statError) {
-        console.error(kleur.red(`✖ Error accessing path ${input}:`), statError.message);
-      }
+// Writes the --size-report file (not in --check mode, where it would count as a difference) and sets a
+// non-zero exit code when a size budget was exceeded
+async function reportSizes(argv, sizeSets, output) {
+  if (argv.sizeReport && !argv.check && sizeSets.length > 0) {
+    const reportPath = path.resolve(process.cwd(), argv.sizeReport);
+    try {
+      await output.writeFile(reportPath, formatSizeReport(sizeSets, reportPath));
+      console.log(kleur.green(`✔ Wrote size report:`), kleur.dim(path.relative(process.cwd(), reportPath)));
+    } catch (error) {
+      console.error(kleur.red(`✖ Error writing size report ${reportPath}:`), error.message);
+      process.exitCode = 1;
     }
   }
-  return sources;
+  const overBudgetCount = sizeSets.reduce((sum, set) => sum + set.overBudget.length, 0);
+  if (overBudgetCount > 0) {
+    console.error(kleur.red(`\n✖ ${overBudgetCount} size budget(s) exceeded.`));
+    process.exitCode = 1;
+  }
 }
-async function getCurrentIconsFromComponents(iconsComponentDir) {
-  const existingIcons = new Map();
-  if (!(await fs.pathExists(iconsComponentDir))) {
-    return [];
+// Prints the lint findings of every icon set (as text or JSON) and sets a non-zero exit code when an
+// error-level rule fired or a source failed
+function reportLint(argv, results, failedCount) {
+  const errorCount = results.reduce((sum, result) => sum + result.errorCount, 0);
+  const warningCount = results.reduce((sum, result) => sum + result.warningCount, 0);
+  if (errorCount > 0 || failedCount > 0) process.exitCode = 1;
+  if (isJsonLint(argv)) {
+    console.log(JSON.stringify({ passed: process.exitCode !== 1, errorCount, warningCount, sets: results }, null, 2));
+    return;
   }
-  try {
-    const files = await fs.readdir(iconsComponentDir);
-    for (const file of files) {
-      if (file.toLowerCase().endsWith(".svelte")) {
-        const componentName = file.replace(/\.svelte$/i, "");
-        try {
-          const baseName = componentNameToBaseName(componentName);
-          if (!baseName) {
-            console.warn(
-              kleur.yellow(
-                `⚠ Could not determine base name for ${file}. Skipping this component during regeneration/append.`
-              )
-            );
-            continue;
-          }
-          if (baseName && componentName) {
-             existingIcons.set(componentName, { baseName, componentName });
-          }
-        } catch (readError) {
-          console.error(kleur.red(`✖ Error processing component file ${file}:`), readError.message);
-        }
+  for (const result of results) {
+    const icons = result.icons.filter((icon) => icon.findings.length > 0);
+    if (icons.length === 0) continue;
+    console.log(kleur.bold().magenta(`\nLint findings${result.name ? ` for "${result.name}"` : ""}:`));
+    for (const icon of icons) {
+      console.log(kleur.bold(`  ${icon.origin}`));
+      for (const { rule, severity, message } of icon.findings) {
+        const label = severity === "error" ? kleur.red("    ✖ ") : kleur.yellow("    ⚠ ");
+        console.log(label + kleur.dim(rule.padEnd(20)), message);
       }
     }
-  } catch (dirError) {
-    console.error(kleur.red(`✖ Error reading components directory ${iconsComponentDir}:`), dirError.message);
   }
-  return Array.from(existingIcons.values());
+  const iconCount = results.reduce((sum, result) => sum + result.icons.length, 0);
+  const summary = `${errorCount} error(s), ${warningCount} warning(s) in ${iconCount} icon(s)`;
+  if (errorCount > 0) console.error(kleur.bold().red(`\n✖ Lint failed: ${summary}`));
+  else console.log(kleur.bold().green(`\n✔ Lint passed: ${summary}`));
+  if (failedCount > 0) console.error(kleur.red(`✖ ${failedCount} source(s) failed.`));
 }
-function componentNameToBaseName(componentName) {
-  if (!componentName) return null;
-  return componentName
-    .replace(/([A-Z])/g, (match, p1, offset) => (offset > 0 ? "-" : "") + match.toLowerCase())
-    .replace(/^-/, "");
+function closeWatchersOnExit(watchers) {
+  console.log(kleur.gray("Press Ctrl+C to stop watching.\n"));
+  process.once("SIGINT", async () => {
+    await Promise.all(watchers.map((watcher) => watcher.close()));
+    console.log(kleur.gray("\nStopped watching."));
+    process.exit(0);
+  });
 }
-async function regenerateFilesFromComponents(outputDir, iconsComponentDir, typeName) {
-  console.log(
-    kleur.magenta(
-      `\n♻️ Regenerating files based on components in ${path.relative(process.cwd(), iconsComponentDir)}...`
-    )
+// Generates (or regenerates) every selected icon set from a project config, without prompting for inputs
+async function runIconSets(argv, projectConfig) {
+  const logger = createRunLogger(argv);
+  logger.log(
+    kleur.magenta("Using project config:"),
+    kleur.dim(path.relative(process.cwd(), projectConfig.configPath))
   );
-  const icons = await getCurrentIconsFromComponents(iconsComponentDir);
-  if (icons.length === 0) {
-    console.warn(
-      kleur.yellow(`No valid Svelte components found in ${iconsComponentDir}. Cannot generate type or loader.`)
-    );
-    return;
+  // Explicit CLI flags take precedence over the values in the config file
+  const overrides = {};
+  if (argv.output) overrides.output = path.resolve(process.cwd(), argv.output);
+  if (argv.svgoConfig) overrides.svgoConfig = path.resolve(process.cwd(), argv.svgoConfig);
+  if (argv.baseClass !== undefined) overrides.baseClass = argv.baseClass;
+  if (argv.clean) overrides.clean = true;
+  if (argv.prune || argv.check) overrides.prune = true;
+  if (argv.svelte) overrides.svelte = argv.svelte;
+  if (argv.mode) overrides.mode = argv.mode;
+  if (argv.loader) overrides.loader = argv.loader;
+  if (argv.barrel !== undefined) overrides.barrel = argv.barrel;
+  if (argv.colors) overrides.colors = argv.colors;
+  if (argv.preset) overrides.preset = argv.preset;
+  if (argv.nonScalingStroke) overrides.nonScalingStroke = true;
+  if (argv.normalizeViewbox) overrides.normalizeViewBox = argv.normalizeViewbox;
+  if (argv.viewboxPadding !== undefined) overrides.viewBoxPadding = argv.viewboxPadding;
+  if (argv.spriteInline) overrides.spriteInline = true;
+  if (argv.unsafe) overrides.unsafe = true;
+  if (argv.maxIconBytes) overrides.maxIconBytes = argv.maxIconBytes;
+  if (argv.maxTotalBytes) overrides.maxTotalBytes = argv.maxTotalBytes;
+  if (argv.gallery) overrides.gallery = true;
+  if (argv.exportIconify !== undefined) {
+    overrides.exportIconify = argv.exportIconify ? path.resolve(process.cwd(), argv.exportIconify) : true;
   }
-  console.log(kleur.cyan(`  Found ${icons.length} components to include.`));
-  icons.sort((a, b) => a.baseName.localeCompare(b.baseName));
-  const iconMapContent = icons
-      .map(icon => `  '${icon.baseName}': '${icon.componentName}',`) // Use baseName for key, componentName for value
-      .join('\n');
-  const uniqueIconBaseNames = [...new Set(icons.map((icon) => icon.baseName))].sort();
-
-  const typeContent = `// Auto-generated by ${SCRIPT_NAME}\n// Run npx ${SCRIPT_NAME} -r to regenerate.\n\nexport type ${TYPE_NAME} = \n  | '${uniqueIconBaseNames.join("'\n  | '")}';\n\nexport const iconMap: Record<SvgName, string> = {\n${iconMapContent}\n};\n`;
-  const typesFileName = `${TYPE_NAME}.ts`;
-  const typesOutputPath = path.join(outputDir, typesFileName);
-  try {
-    await fs.ensureDir(path.dirname(typesOutputPath));
-    await fs.writeFile(typesOutputPath, typeContent, "utf-8");
-    console.log(
-      kleur.green(`  ✔ Regenerated type definition:`),
-      kleur.dim(path.relative(process.cwd(), typesOutputPath))
-    );
-  } catch (error) {
-    console.error(kleur.red(`  ✖ Error writing regenerated type definition file ${typesOutputPath}:`), error);
+  if (argv.metadata !== undefined) {
+    overrides.metadata = argv.metadata ? path.resolve(process.cwd(), argv.metadata) : true;
   }
-
-  // --- Generate Dynamic Loader Component ---
-  const loaderComponentContent = createSvgIconLoaderComponent();
-  const loaderFileName = `${LOADER_NAME}.svelte`;
-  const loaderOutputPath = path.join(outputDir, loaderFileName);
-
+  if (argv.variants) overrides.variants = argv.variants;
+  if (argv.variantNames?.length) overrides.variantNames = argv.variantNames.map(String);
+  if (argv.defaultVariant) overrides.defaultVariant = argv.defaultVariant;
+  if (argv.componentPrefix !== undefined) overrides.componentPrefix = argv.componentPrefix;
+  if (argv.componentSuffix !== undefined) overrides.componentSuffix = argv.componentSuffix;
+  if (argv.namespace) overrides.namespace = true;
+  let iconSets;
   try {
-
-      await fs.ensureDir(path.dirname(loaderOutputPath));
-      await fs.writeFile(loaderOutputPath, loaderComponentContent, 'utf-8');
-      console.log(kleur.green(`  ✔ Regenerated loader component:`), kleur.dim(path.relative(process.cwd(), loaderOutputPath)));
+    iconSets = resolveIconSets(projectConfig, argv.set, overrides);
   } catch (error) {
-      console.error(kleur.red(`  ✖ Error writing loader component file ${loaderOutputPath}:`), error);
+    console.error(kleur.red(`✖ Error: ${error.message}`));
+    process.exit(1);
   }
-
-  console.log(kleur.bold().green("\n♻️ Regeneration complete! ✨\n"));
-}
-
-// Processes a single SVG source
-async function processSvgSource(source, svgoConfig, baseClass) {
-    let svgContent;
-    if (source.type === "file") {
-      svgContent = await fs.readFile(source.path, "utf-8");
-    } else if (source.type === "url" || source.type === "direct") {
-      svgContent = source.content;
-    } else {
-      throw new Error(`Unknown source type: ${source.type}`);
+  if (argv.output && iconSets.length > 1) {
+    console.error(kleur.red("✖ Error: The --output option can only be used with a single icon set (use --set)."));
+    process.exit(1);
+  }
+  if (argv.lint) {
+    const inputFailures = [];
+    const results = [];
+    for (const iconSet of iconSets) {
+      const sources = await resolveInputSources(iconSet.input, logger, inputFailures);
+      try {
+        results.push(await lintIconSet(sources, iconSet, logger));
+      } catch (error) {
+        console.error(kleur.red(`✖ Error: ${error.message}`));
+        process.exit(1);
+      }
     }
-
-    const optimizeOptions = { ...svgoConfig };
-    if (source.path) optimizeOptions.path = source.path;
-
-    const optimizedSvgResult = optimize(svgContent, optimizeOptions);
-
-    if (optimizedSvgResult.error) {
-      throw new Error(`SVGO Optimization Error: ${optimizedSvgResult.error}`);
+    reportLint(argv, results, inputFailures.length);
+    return;
+  }
+  const output = createOutputWriter({ dryRun: argv.dryRun || argv.check });
+  const onConflict = resolveConflictPolicy(argv);
+  const onDuplicate = resolveDuplicatePolicy(argv);
+  let failedCount = 0;
+  const sizeSets = [];
+  const watchers = [];
+  const emptySets = [];
+  for (const iconSet of iconSets) {
+    logger.log(kleur.bold().magenta(`\n▸ Icon set "${iconSet.name}"\n`));
+    const svelteTarget = await resolveSvelteTarget(iconSet.svelte);
+    if (argv.regenerate) {
+      await regenerateFilesFromComponents(iconSet, svelteTarget, console, output);
+      continue;
     }
-    if (!optimizedSvgResult.data) {
-      throw new Error(`SVGO Optimization returned no data.`);
+    if (iconSet.input.length === 0) {
+      console.warn(kleur.yellow(`⚠ Icon set "${iconSet.name}" has no inputs configured. Skipping.`));
+      continue;
     }
-
-    const svelteComponentContent = createSvelteIconComponent(optimizedSvgResult.data, baseClass);
-    return svelteComponentContent;
+    const inputFailures = [];
+    const sourcesToProcess = await resolveInputSources(iconSet.input, logger, inputFailures);
+    failedCount += inputFailures.length;
+    if (sourcesToProcess.length === 0 && argv.check) emptySets.push(iconSet.name);
+    // Under --check an empty set still runs, so the components of deleted sources are reported as removed
+    if (sourcesToProcess.length > 0 || argv.check) {
+      logger.log("");
+      const result = await generateIconSet(
+        sourcesToProcess,
+        iconSet,
+        svelteTarget,
+        `Files/URLs: ${iconSet.input.join(", ")}`,
+        { onConflict, onDuplicate, output, logger, rebuild: argv.check }
+      );
+      failedCount += result.failed.length;
+      sizeSets.push({ name: iconSet.name, stats: result.stats, overBudget: result.overBudget });
+    } else {
+      console.warn(kleur.yellow(`\nNo valid SVG sources found for icon set "${iconSet.name}".`));
+    }
+    if (argv.watch) {
+      const watcher = await watchIconSet(iconSet, svelteTarget, sourcesToProcess);
+      if (watcher) watchers.push(watcher);
+    }
+  }
+  await reportSizes(argv, sizeSets, output);
+  await reportOutcome(argv, output, failedCount, emptySets);
+  if (watchers.length > 0) {
+    closeWatchersOnExit(watchers);
+  }
 }
 
 // --- Main Generation Logic ---
 async function run() {
-  console.log(kleur.bold().cyan(`\n${SCRIPT_NAME} - SVG to Svelte Component Generator\n`));
   // --- Argument Parsing (Remove boolean conflicts from definitions) ---
   let argv = await yargs(hideBin(process.argv))
     .usage(`Usage: ${SCRIPT_NAME} [options]`)
     .option("input", {
       alias: "i",
       type: "array",
-      description: "Input directories, .svg files, or HTTP(S) URLs (space-separated)",
+      description: "Input directories, .svg files, Iconify JSON collections (file.json#name,...), or HTTP(S) URLs (space-separated)",
     })
     .option("output", {
       alias: "o",
@@ -321,10 +303,15 @@ async function run() {
       description: `Clean the '${COMPONENTS_SUBDIR}' subdirectory within the output directory before generating`,
       default: false,
     })
+    .option("prune", {
+      type: "boolean",
+      description: "Delete components whose source SVG no longer exists (as recorded in the manifest)",
+      default: false,
+    })
     .option("baseClass", {
       type: "string",
       description: "Base CSS class added to the <svg> element in components",
-      default: "svg-icon",
+      defaultDescription: `"${DEFAULT_BASE_CLASS}"`,
     })
     .option("regenerate", {
       alias: "r",
@@ -332,36 +319,299 @@ async function run() {
       description: `Regenerate ${TYPE_NAME}.ts and ${LOADER_NAME}.svelte from existing components in output/components`,
       default: false,
     })
+    .option("svelte", {
+      type: "number",
+      choices: [3, 4, 5],
+      description: "Svelte major version to generate code for (auto-detected from the project when omitted)",
+    })
+    .option("mode", {
+      type: "string",
+      choices: ["components", "sprite"],
+      description: "Output mode: one component per icon, or a single sprite.svg with a <use>-based icon component",
+      defaultDescription: '"components"',
+    })
+    .option("sprite-inline", {
+      type: "boolean",
+      description: "In sprite mode, emit the sprite as a component to render in your layout instead of a sprite.svg file",
+      default: false,
+    })
+    .option("loader", {
+      type: "string",
+      choices: ["lazy", "eager"],
+      description: `${LOADER_NAME}.svelte variant: lazy (dynamic import per icon) or eager (static imports, renders during SSR)`,
+      defaultDescription: '"lazy"',
+    })
+    .option("barrel", {
+      type: "boolean",
+      description: "Generate an index.ts with a named export per icon component (use --no-barrel to disable)",
+      defaultDescription: "true",
+    })
+    .option("preset", {
+      type: "string",
+      choices: ["fill", "outline"],
+      description: "Built-in processing preset: fill (strips strokes) or outline (keeps strokes as currentColor, adds strokeWidth/strokeLinecap/strokeLinejoin props)",
+      defaultDescription: '"fill"',
+    })
+    .option("non-scaling-stroke", {
+      type: "boolean",
+      description: "With --preset outline, make strokes non-scaling by default (nonScalingStroke prop)",
+      default: false,
+    })
+    .option("normalize-viewbox", {
+      type: "number",
+      description: "Crop every icon to its content and scale it onto a square viewBox of this size (e.g. 24)",
+    })
+    .option("viewbox-padding", {
+      type: "number",
+      description: "With --normalize-viewbox, free space left on each side, in grid units",
+      defaultDescription: "0",
+    })
+    .option("unsafe", {
+      type: "boolean",
+      description: "Skip the sanitization of scripts, event handlers and external references (trusted sources only)",
+      default: false,
+    })
+    .option("variants", {
+      type: "string",
+      choices: ["folder", "suffix"],
+      description: "Treat the first folder below an input directory, or a -<variant> file name suffix, as the icon variant (HomeOutline, HomeSolid, ...)",
+    })
+    .option("variant-names", {
+      type: "array",
+      description: "Variant names (space-separated); required with --variants suffix, the first is the default variant",
+    })
+    .option("default-variant", {
+      type: "string",
+      description: "Variant the loader renders when no variant prop is given",
+    })
+    .option("component-prefix", {
+      type: "string",
+      description: 'Prefix of every component name, e.g. "Icon" for IconHome',
+    })
+    .option("component-suffix", {
+      type: "string",
+      description: 'Suffix of every component name, e.g. "Icon" for HomeIcon',
+    })
+    .option("namespace", {
+      type: "boolean",
+      description: "Prefix icon names with their subfolders below the input directory (arrows/left.svg -> arrows-left, ArrowsLeft)",
+      default: false,
+    })
+    .option("colors", {
+      type: "string",
+      choices: ["keep", "current", "vars"],
+      description: "Color processing: keep colors, rewrite single-color icons to currentColor, or turn each color into a --icon-color-N custom property",
+      defaultDescription: '"keep"',
+    })
+    .option("config", {
+      alias: "c",
+      type: "string",
+      description: `Path to a project config file (defaults to ./${CONFIG_FILE_NAMES[0]} or the "${SCRIPT_NAME}" key in package.json)`,
+      normalize: true,
+    })
+    .option("watch", {
+      alias: "w",
+      type: "boolean",
+      description: "Keep watching the input directories and regenerate icons as SVGs are added, changed or deleted",
+      default: false,
+    })
+    .option("set", {
+      type: "string",
+      description: "Name of the icon set from the project config to generate (defaults to all sets)",
+    })
+    .option("on-conflict", {
+      type: "string",
+      choices: ["overwrite", "skip", "fail"],
+      description: "What to do with existing components not generated from the same source (prompts when interactive, otherwise skips)",
+    })
+    .option("on-duplicate", {
+      type: "string",
+      choices: ["keep", "alias"],
+      description: "What to do with icons whose optimized markup is identical to another icon's (prompts when interactive, otherwise keeps them)",
+    })
+    .option("yes", {
+      alias: "y",
+      type: "boolean",
+      description: "Never prompt: overwrite conflicts, keep duplicates and use the default output directory",
+      default: false,
+    })
+    .option("interactive", {
+      type: "boolean",
+      description: "Prompt for missing inputs, the output directory and conflicts (--no-interactive never prompts)",
+      default: true,
+    })
+    .option("check", {
+      type: "boolean",
+      description: "Verify that the generated files are up to date without writing anything (exits 1 on any difference)",
+      default: false,
+    })
+    .option("lint", {
+      type: "boolean",
+      description: "Check the SVG sources against the lint rules instead of generating (exits 1 on any error)",
+      default: false,
+    })
+    .option("lint-format", {
+      type: "string",
+      choices: ["text", "json"],
+      description: "Output format of --lint",
+      default: "text",
+    })
+    .option("gallery", {
+      type: "boolean",
+      description: "Also write an index.html preview page of the icons (search, colors, sizes, copyable snippets)",
+      default: false,
+    })
+    .option("export-iconify", {
+      type: "string",
+      description: "Also write the icons as an Iconify JSON collection (to the given file, or iconify.json in the output directory)",
+    })
+    .option("metadata", {
+      type: "string",
+      description: "Also write iconMeta.ts (tags, categories, searchIcons()) from sidecar .json files next to the SVGs and, if given, a central JSON/YAML file",
+    })
+    .option("max-icon-bytes", {
+      type: "number",
+      description: "Fail the run when a generated icon (component or sprite symbol) is larger than this many bytes",
+    })
+    .option("max-total-bytes", {
+      type: "number",
+      description: "Fail the run when the generated icons of a set add up to more than this many bytes",
+    })
+    .option("size-report", {
+      type: "string",
+      description: "Write the per-icon size statistics to a file (Markdown for .md, JSON otherwise)",
+      normalize: true,
+    })
+    .option("dry-run", {
+      type: "boolean",
+      description: "Print the files that would be written or deleted without touching the disk",
+      default: false,
+    })
     .help()
     .alias("help", "h")
     .parse();
+  if (!isJsonLint(argv)) {
+    console.log(kleur.bold().cyan(`\n${SCRIPT_NAME} - SVG to Svelte Component Generator\n`));
+  }
   // --- Manual Conflict Checks ---
   if (argv.regenerate && argv.clean) {
     console.error(kleur.red("✖ Error: The --regenerate and --clean options cannot be used together."));
     process.exit(1);
   }
+  if (argv.regenerate && argv.prune) {
+    console.error(kleur.red("✖ Error: The --regenerate and --prune options cannot be used together."));
+    process.exit(1);
+  }
   if (argv.regenerate && argv.input?.length) {
     console.error(kleur.red("✖ Error: The --regenerate option cannot be used with --input."));
     process.exit(1);
   }
+  if (argv.watch && argv.regenerate) {
+    console.error(kleur.red("✖ Error: The --watch and --regenerate options cannot be used together."));
+    process.exit(1);
+  }
+  if (argv.config && argv.input?.length) {
+    console.error(kleur.red("✖ Error: The --config option cannot be used with --input."));
+    process.exit(1);
+  }
+  if (argv.watch && argv.dryRun) {
+    console.error(kleur.red("✖ Error: The --watch and --dry-run options cannot be used together."));
+    process.exit(1);
+  }
+  if (argv.check && (argv.watch || argv.regenerate || argv.dryRun)) {
+    console.error(kleur.red("✖ Error: The --check option cannot be used with --watch, --regenerate or --dry-run."));
+    process.exit(1);
+  }
+  if (argv.lint && (argv.watch || argv.regenerate || argv.dryRun || argv.check)) {
+    console.error(kleur.red("✖ Error: The --lint option cannot be used with --watch, --regenerate, --dry-run or --check."));
+    process.exit(1);
+  }
+  if (argv.dryRun) {
+    console.log(kleur.yellow("Dry run: no files will be written or deleted.\n"));
+  }
+
+  // --- Project Config: generate every configured icon set ---
+  if (!argv.input?.length) {
+    let projectConfig = null;
+    try {
+      projectConfig = await loadProjectConfig(argv.config);
+    } catch (error) {
+      console.error(kleur.red(`✖ Error loading project config:`), error.message);
+      process.exit(1);
+    }
+    if (projectConfig) {
+      await runIconSets(argv, projectConfig);
+      return;
+    }
+  }
+  if (argv.set) {
+    console.error(kleur.red("✖ Error: The --set option requires a project config file."));
+    process.exit(1);
+  }
+  if (argv.watch && !argv.input?.length) {
+    console.error(kleur.red("✖ Error: The --watch option requires --input (or a project config file)."));
+    process.exit(1);
+  }
 
-  // --- Resolve Paths and Config early (needed for regenerate) ---
-  const outputDirArg = argv.output || DEFAULT_OUTPUT_DIR;
-  let outputDir = path.resolve(process.cwd(), outputDirArg);
-  let iconsComponentDir = path.join(outputDir, COMPONENTS_SUBDIR);
-  const baseClass = argv.baseClass;
+  // --- Resolve Options early (needed for regenerate) ---
+  const cliSetOptions = {
+    output: argv.output,
+    svgoConfig: argv.svgoConfig,
+    baseClass: argv.baseClass,
+    clean: argv.clean,
+    prune: argv.prune || argv.check,
+    svelte: argv.svelte,
+    mode: argv.mode,
+    spriteInline: argv.spriteInline,
+    loader: argv.loader,
+    barrel: argv.barrel,
+    colors: argv.colors,
+    preset: argv.preset,
+    nonScalingStroke: argv.nonScalingStroke,
+    normalizeViewBox: argv.normalizeViewbox,
+    viewBoxPadding: argv.viewboxPadding,
+    unsafe: argv.unsafe,
+    maxIconBytes: argv.maxIconBytes,
+    maxTotalBytes: argv.maxTotalBytes,
+    gallery: argv.gallery,
+    exportIconify: argv.exportIconify === "" ? true : argv.exportIconify,
+    metadata: argv.metadata === "" ? true : argv.metadata,
+    variants: argv.variants,
+    variantNames: argv.variantNames?.map(String),
+    defaultVariant: argv.defaultVariant,
+    componentPrefix: argv.componentPrefix,
+    componentSuffix: argv.componentSuffix,
+    namespace: argv.namespace,
+  };
+  // Reject invalid option combinations before prompting for anything
+  try {
+    normalizeIconSet(null, cliSetOptions, process.cwd());
+  } catch (error) {
+    console.error(kleur.red(`✖ Error: ${error.message}`));
+    process.exit(1);
+  }
+  const output = createOutputWriter({ dryRun: argv.dryRun || argv.check });
+  const logger = createRunLogger(argv);
   // --- Handle Regeneration Mode ---
   if (argv.regenerate) {
-    await regenerateFilesFromComponents(outputDir, iconsComponentDir, TYPE_NAME);
-    process.exit(0);
+    const iconSet = normalizeIconSet(null, cliSetOptions, process.cwd());
+    await regenerateFilesFromComponents(iconSet, await resolveSvelteTarget(iconSet.svelte), console, output);
+    await reportOutcome(argv, output, 0);
+    return;
   }
   // --- Determine Input Sources (Args, Direct SVG Args, or Interactive) ---
   let sourcesToProcess = [];
   let inputProvided = false;
+  const inputFailures = [];
   if (argv.input && argv.input.length > 0) {
-    console.log(kleur.magenta("Processing inputs from arguments..."));
-    sourcesToProcess = await resolveInputSources(argv.input);
+    logger.log(kleur.magenta("Processing inputs from arguments..."));
+    sourcesToProcess = await resolveInputSources(argv.input, logger, inputFailures);
     inputProvided = true;
+  } else if (!isInteractive(argv)) {
+    console.error(
+      kleur.red("✖ Error: No --input given and no project config found, and prompts are disabled (non-interactive).")
+    );
+    process.exit(1);
   } else {
     console.log(kleur.yellow("No input method specified via arguments, entering interactive mode:\n"));
      const modeAnswer = await inquirer.prompt([
@@ -386,7 +636,7 @@ async function run() {
         },
       ]);
       argv.input = fileAnswers.input;
-      sourcesToProcess = await resolveInputSources(argv.input);
+      sourcesToProcess = await resolveInputSources(argv.input, console, inputFailures);
     } else {
       console.log(kleur.cyan("\nEntering direct SVG input mode. Press Ctrl+C to cancel anytime."));
       let addAnother = true;
@@ -446,9 +696,9 @@ async function run() {
     console.log("");
   }
   // --- Final Check for Sources ---
-    if (sourcesToProcess.length === 0 && inputProvided) {
+    if (sourcesToProcess.length === 0 && inputProvided && !argv.watch && !argv.check) {
     console.warn(kleur.yellow("\nNo valid SVG sources found or provided to process. Exiting."));
-    process.exit(0);
+    process.exit(inputFailures.length > 0 ? 1 : 0);
   } else if (!inputProvided && !argv.regenerate) {
     console.error(
       kleur.red(
@@ -458,9 +708,15 @@ async function run() {
     console.log(kleur.cyan("  Or use --regenerate to rebuild from existing components."));
     process.exit(1);
   }
+  // --- Lint Mode: report on the sources, generate nothing ---
+  if (argv.lint) {
+    const iconSet = normalizeIconSet(null, { ...cliSetOptions, input: argv.input || [] }, process.cwd());
+    reportLint(argv, [await lintIconSet(sourcesToProcess, iconSet, logger)], inputFailures.length);
+    return;
+  }
   // --- Get other options interactively if needed (e.g., output path) ---
    const questions = [];
-  if (!argv.output) {
+  if (!argv.output && !argv.watch && isInteractive(argv)) {
     questions.push({
       type: "input",
       name: "output",
@@ -473,218 +729,35 @@ async function run() {
   if (questions.length > 0) {
     console.log(kleur.yellow("Other options missing or using defaults, prompting:\n"));
     const otherAnswers = await inquirer.prompt(questions);
-    argv = { ...otherAnswers, ...argv };
     if (otherAnswers.output) {
-      outputDir = path.resolve(process.cwd(), argv.output);
-        iconsComponentDir = path.join(outputDir, COMPONENTS_SUBDIR);
+      cliSetOptions.output = otherAnswers.output;
     }
     console.log("");
   }
-  // --- Load SVGO Config ---
-  const svgoConfig = await loadSvgoConfiguration(argv.svgoConfig);
-  // --- Log Final Configuration ---
-  console.log(kleur.magenta("Processing Options:"));
-  let inputDesc = "Interactive or Direct Input";
-  if (argv.input?.length) inputDesc = `Files/URLs: ${argv.input.join(", ")}`;
-  else if (!inputProvided && argv.regenerate) inputDesc = "Regeneration Mode";
-  else if (!inputProvided) inputDesc = "No input specified (error handled above)";
-
-  console.log(kleur.gray(`  Input Source:   `), kleur.blue(inputDesc));
-  console.log(kleur.gray(`  Output Dir:     `), kleur.blue(path.relative(process.cwd(), outputDir) || "."));
-  console.log(kleur.gray(`  Clean Subdir:   `), kleur.blue(argv.clean ? "Yes" : "No"));
-  console.log(kleur.gray(`  Base Class:     `), kleur.blue(baseClass || "(None)"));
-  console.log(
-    kleur.gray(`  SVGO Config:    `),
-    kleur.blue(argv.svgoConfig ? path.relative(process.cwd(), argv.svgoConfig) : "Default")
-  );
-   console.log(kleur.gray(`  Regenerate:     `), kleur.blue(argv.regenerate ? "Yes" : "No"));
-  console.log("");
-  // --- Prepare Output Directories ---
-  try {
-    await fs.ensureDir(outputDir);
-    if (argv.clean) {
-      if (await fs.pathExists(iconsComponentDir)) {
-        await fs.emptyDir(iconsComponentDir);
-        console.log(
-          kleur.yellow(`🧹 Cleaned components subdirectory:`),
-          kleur.dim(path.relative(process.cwd(), iconsComponentDir))
-        );
-      } else {
-        console.log(kleur.gray(`Components subdirectory (${COMPONENTS_SUBDIR}) does not exist, skipping clean.`));
-        await fs.ensureDir(iconsComponentDir);
-      }
-    } else {
-      await fs.ensureDir(iconsComponentDir);
-    }
-  } catch (error) {
-    console.error(kleur.red(`✖ Error preparing output directories:`), error);
-    process.exit(1);
-  }
-  // --- Process and Generate Individual Svelte Components ---
-  console.log(kleur.magenta(`\nProcessing ${sourcesToProcess.length} potential SVG source(s)...`));
-  const newlyGeneratedIcons = [];
-  const conflicts = [];
-  let successCount = 0;
-  let errorCount = 0;
-  let skipCount = 0;
-  const processedComponentNamesInRun = new Set();
-  for (const source of sourcesToProcess) {
-    if (processedComponentNamesInRun.has(source.componentName)) {
-      console.warn(
-        kleur.yellow(
-          `  ⚠ Skipping duplicate component name "${source.componentName}" in this batch (from ${source.origin}). Choose unique names or sources.`
-        )
-      );
-      errorCount++;
-      continue;
-    }
-    const outputSveltePath = path.join(iconsComponentDir, `${source.componentName}.svelte`);
-    let exists = false;
-    if (!argv.clean) {
-        try {
-            exists = await fs.pathExists(outputSveltePath);
-        } catch (checkError) {
-            console.error(kleur.red(`  ✖ Error checking existence of ${outputSveltePath}:`), checkError.message);
-            errorCount++;
-            continue;
-        }
-    }
-
-    if (exists) {
-        conflicts.push({ source, outputSveltePath });
-        console.log(kleur.yellow(`  ⏳ Conflict detected:`), kleur.dim(`${path.relative(process.cwd(), outputSveltePath)} (from ${source.origin})`));
-    } else {
-        try {
-            const svelteComponentContent = await processSvgSource(source, svgoConfig, baseClass);
-            await fs.writeFile(outputSveltePath, svelteComponentContent, "utf-8");
-            newlyGeneratedIcons.push({ baseName: source.baseName, componentName: source.componentName });
-            processedComponentNamesInRun.add(source.componentName); // Track successful generation
-            successCount++;
-            console.log(
-                kleur.green(`  ✔ Generated:`),
-                kleur.dim(`${path.relative(process.cwd(), outputSveltePath)} (from ${source.origin})`)
-            );
-        } catch (error) {
-            errorCount++;
-            console.error(kleur.red(`  ✖ Error processing ${source.origin}:`), error.message);
-        }
-    }
-  }
-
-  // --- Handle Conflicts ---
-  if (conflicts.length > 0) {
-    console.log(kleur.yellow(`\nFound ${conflicts.length} conflict(s) with existing files:`));
-    conflicts.forEach(conflict => {
-        console.log(kleur.yellow(`  - ${conflict.source.componentName}.svelte`));
+  const iconSet = normalizeIconSet(null, { ...cliSetOptions, input: argv.input }, process.cwd());
+  const svelteTarget = await resolveSvelteTarget(iconSet.svelte);
+  const inputDesc = argv.input?.length ? `Files/URLs: ${argv.input.join(", ")}` : "Interactive or Direct Input";
+  let failedCount = inputFailures.length;
+  const sizeSets = [];
+  if (sourcesToProcess.length > 0 || argv.check) {
+    const result = await generateIconSet(sourcesToProcess, iconSet, svelteTarget, inputDesc, {
+      onConflict: resolveConflictPolicy(argv),
+      onDuplicate: resolveDuplicatePolicy(argv),
+      output,
+      logger,
+      rebuild: argv.check,
     });
-
-    const overwriteAnswer = await inquirer.prompt([
-      {
-        type: "confirm",
-        name: "overwrite",
-        message: `Do you want to overwrite these ${conflicts.length} existing component file(s)?`,
-        default: false,
-      },
-    ]);
-
-    if (overwriteAnswer.overwrite) {
-      console.log(kleur.magenta(`\nOverwriting conflicting files as requested...`));
-      for (const conflict of conflicts) {
-        const { source, outputSveltePath } = conflict;
-         if (processedComponentNamesInRun.has(source.componentName)) {
-            console.warn(
-              kleur.yellow(
-                `  ⚠ Skipping overwrite for "${source.componentName}" as it was already generated from a non-conflicting source in this run.`
-              )
-            );
-            continue;
-        }
-        try {
-          const svelteComponentContent = await processSvgSource(source, svgoConfig, baseClass);
-          await fs.writeFile(outputSveltePath, svelteComponentContent, "utf-8");
-
-          newlyGeneratedIcons.push({ baseName: source.baseName, componentName: source.componentName });
-          processedComponentNamesInRun.add(source.componentName);
-          successCount++;
-          console.log(
-            kleur.green(`  ✔ Overwritten:`),
-            kleur.dim(`${path.relative(process.cwd(), outputSveltePath)} (from ${source.origin})`)
-          );
-        } catch (error) {
-          errorCount++;
-          console.error(kleur.red(`  ✖ Error overwriting ${source.origin}:`), error.message);
-        }
-      }
-    } else {
-      skipCount = conflicts.length;
-      console.log(kleur.gray(`\nSkipped ${skipCount} conflicting file(s).`));
-    }
+    failedCount += result.failed.length;
+    sizeSets.push({ name: null, stats: result.stats, overBudget: result.overBudget });
   }
-
-  // --- Report Summary ---
-  const totalProcessed = sourcesToProcess.length;
-  console.log(
-    kleur.cyan(`\nProcessing Summary:`),
-    kleur.green(`${successCount} generated/overwritten`),
-    kleur.red(`${errorCount} failed`),
-    kleur.gray(`${skipCount} skipped (due to conflict)`),
-    kleur.dim(`(out of ${totalProcessed} sources)`)
-  );
-  const componentsExist = await fs.pathExists(iconsComponentDir) &&
-                           (await fs.readdir(iconsComponentDir)).some(f => f.toLowerCase().endsWith('.svelte'));
-  if (!componentsExist) {
-      console.warn(
-        kleur.yellow(
-          "\nNo Svelte components found in the components directory after processing. Skipping loader and type generation."
-        )
-      );
-      console.log(kleur.bold().yellow("\nGeneration finished, but no components to aggregate. ✨\n"));
-      return;
-  }
-  console.log(kleur.magenta(`\nGenerating aggregate files (${TYPE_NAME}.ts, ${LOADER_NAME}.svelte)...`));
-  const finalComponentIcons = await getCurrentIconsFromComponents(iconsComponentDir);
-  if (finalComponentIcons.length === 0) {
-       console.warn(
-        kleur.yellow("No components found after scanning the directory. Skipping loader and types generation.")
-      );
-      return;
-  }
-  finalComponentIcons.sort((a, b) => a.baseName.localeCompare(b.baseName));
-  console.log(
-    kleur.cyan(
-      `  Generating aggregate files based on ${finalComponentIcons.length} final ${
-        finalComponentIcons.length === 1 ? "component" : "components"
-      } in the directory.`
-    )
-  );
-  // --- Generate Type Definition File ---
-  const finalIconMapContent = finalComponentIcons
-    .map(icon => `  '${icon.baseName}': '${icon.componentName}',`)
-    .join('\n');
-  const finalUniqueIconBaseNames = [...new Set(finalComponentIcons.map((icon) => icon.baseName))].sort();
-  const typeContent = `// Auto-generated by ${SCRIPT_NAME}\n// Run npx ${SCRIPT_NAME} -r to regenerate.\n\nexport type ${TYPE_NAME} = \n  | '${finalUniqueIconBaseNames.join("'\n  | '")}';\n\nexport const iconMap: Record<SvgName, string> = {\n${finalIconMapContent}\n};\n`;
-  const typesFileName = `${TYPE_NAME}.ts`;
-  const typesOutputPath = path.join(outputDir, typesFileName);
-  try {
-    await fs.ensureDir(path.dirname(typesOutputPath));
-    await fs.writeFile(typesOutputPath, typeContent, "utf-8");
-    console.log(kleur.green(`✔ Updated type definition:`), kleur.dim(path.relative(process.cwd(), typesOutputPath)));
-  } catch (error) {
-    console.error(kleur.red(`✖ Error writing type definition file ${typesOutputPath}:`), error);
-  }
-  // --- Generate Dynamic Loader Component ---
-  const loaderComponentContent = createSvgIconLoaderComponent();
-  const loaderFileName = `${LOADER_NAME}.svelte`;
-  const loaderOutputPath = path.join(outputDir, loaderFileName);
-  try {
-    await fs.ensureDir(path.dirname(loaderOutputPath));
-    await fs.writeFile(loaderOutputPath, loaderComponentContent, "utf-8");
-    console.log(kleur.green(`✔ Updated loader component:`), kleur.dim(path.relative(process.cwd(), loaderOutputPath)));
-  } catch (error) {
-    console.error(kleur.red(`✖ Error writing loader component file ${loaderOutputPath}:`), error);
+  await reportSizes(argv, sizeSets, output);
+  await reportOutcome(argv, output, failedCount, sourcesToProcess.length === 0 ? [null] : []);
+  if (argv.watch) {
+    const watcher = await watchIconSet(iconSet, svelteTarget, sourcesToProcess);
+    if (watcher) {
+      closeWatchersOnExit([watcher]);
+    }
   }
-  // --- Final Success Message ---
-  console.log(kleur.bold().green("\n✨ Generation complete! ✨\n"));
 }
 // --- Run the script ---
 run().catch((error) => {
@@ -0,0 +1,46 @@
+// src/check.js
+import fs from "fs-extra";
+import path from "path";
+import { MANIFEST_FILE_NAME } from "./manifest.js";
+
+// Rough line-level size of a change: lines only present in one of the two versions, counted with multiplicity
+function countChangedLines(before, after) {
+  const remaining = new Map();
+  for (const line of before.split("\n")) {
+    remaining.set(line, (remaining.get(line) || 0) + 1);
+  }
+  let added = 0;
+  for (const line of after.split("\n")) {
+    const count = remaining.get(line) || 0;
+    if (count > 0) remaining.set(line, count - 1);
+    else added++;
+  }
+  const removed = [...remaining.values()].reduce((sum, count) => sum + count, 0);
+  return { added, removed };
+}
+// Compares the changes planned by a dry-run writer with the files on disk. The manifest is bookkeeping,
+// not generated code, so it is left out. Returns one entry per differing file.
+export async function compareWithDisk(planned) {
+  const finalState = new Map();
+  for (const change of planned) {
+    if (path.basename(change.file) === MANIFEST_FILE_NAME) continue;
+    finalState.set(change.file, change);
+  }
+  const differences = [];
+  for (const [file, change] of finalState) {
+    const exists = await fs.pathExists(file);
+    if (change.action === "delete") {
+      if (exists) differences.push({ status: "removed", file });
+      continue;
+    }
+    if (!exists) {
+      differences.push({ status: "added", file });
+      continue;
+    }
+    const current = await fs.readFile(file, "utf-8");
+    if (current !== change.content) {
+      differences.push({ status: "changed", file, ...countChangedLines(current, change.content) });
+    }
+  }
+  return differences.sort((a, b) => a.file.localeCompare(b.file));
+}
@@ -0,0 +1,146 @@
+// src/colors.js
+import { optimize } from "svgo";
+
+export const COLOR_MODES = ["keep", "current", "vars"];
+export const COLOR_VARIABLE_PREFIX = "--icon-color-";
+const COLOR_PROPERTIES = new Set(["fill", "stroke", "stop-color", "flood-color", "lighting-color", "color"]);
+const NON_COLOR_VALUES = new Set([
+  "none",
+  "transparent",
+  "currentcolor",
+  "inherit",
+  "initial",
+  "unset",
+  "context-fill",
+  "context-stroke",
+]);
+
+function isColorValue(value) {
+  const normalized = value.trim().toLowerCase();
+  return (
+    normalized !== "" &&
+    !NON_COLOR_VALUES.has(normalized) &&
+    !normalized.startsWith("url(") &&
+    !normalized.startsWith("var(")
+  );
+}
+// #abc and #aabbcc are the same color; everything else is compared case-insensitively
+function normalizeColor(value) {
+  const normalized = value.trim().toLowerCase();
+  const shortHex = normalized.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+  return shortHex ? `#${shortHex[1]}${shortHex[1]}${shortHex[2]}${shortHex[2]}${shortHex[3]}${shortHex[3]}` : normalized;
+}
+function parseStyle(style) {
+  return style
+    .split(";")
+    .map((declaration) => declaration.split(":"))
+    .filter((parts) => parts.length >= 2 && parts[0].trim())
+    .map(([property, ...value]) => [property.trim().toLowerCase(), value.join(":").trim()]);
+}
+function serializeStyle(declarations) {
+  return declarations.map(([property, value]) => `${property}:${value}`).join(";");
+}
+// Runs a visitor over every element through SVGO's AST, leaving the markup otherwise untouched
+function visitElements(svg, enter) {
+  return optimize(svg, {
+    plugins: [{ name: "svelteSvgGenColors", fn: () => ({ element: { enter } }) }],
+  }).data;
+}
+function collectColors(svg) {
+  const colors = new Map(); // normalized -> original spelling of its first occurrence
+  const addColor = (value) => {
+    if (isColorValue(value) && !colors.has(normalizeColor(value))) {
+      colors.set(normalizeColor(value), value.trim());
+    }
+  };
+  visitElements(svg, (node) => {
+    for (const [name, value] of Object.entries(node.attributes)) {
+      if (COLOR_PROPERTIES.has(name)) addColor(value);
+    }
+    if (node.attributes.style) {
+      for (const [property, value] of parseStyle(node.attributes.style)) {
+        if (COLOR_PROPERTIES.has(property)) addColor(value);
+      }
+    }
+  });
+  return colors;
+}
+// Rewrites every color through `replace(value)`. With `asStyle`, color attributes move into the style
+// attribute, where var() is supported (presentation attributes do not accept it everywhere).
+function replaceColors(svg, replace, asStyle) {
+  return visitElements(svg, (node) => {
+    const movedDeclarations = [];
+    for (const [name, value] of Object.entries(node.attributes)) {
+      if (!COLOR_PROPERTIES.has(name) || !isColorValue(value)) continue;
+      if (asStyle) {
+        delete node.attributes[name];
+        movedDeclarations.push([name, replace(value)]);
+      } else {
+        node.attributes[name] = replace(value);
+      }
+    }
+    const declarations = node.attributes.style ? parseStyle(node.attributes.style) : [];
+    const rewrittenDeclarations = declarations.map(([property, value]) =>
+      COLOR_PROPERTIES.has(property) && isColorValue(value) ? [property, replace(value)] : [property, value]
+    );
+    const style = serializeStyle([...movedDeclarations, ...rewrittenDeclarations]);
+    if (style) node.attributes.style = style;
+  });
+}
+
+// Color-processing stage applied to an optimized SVG:
+// - "current": single-color icons (and icons without any color) are rewritten to currentColor
+// - "vars": every distinct color becomes var(--icon-color-N, <original>), one slot per color
+// - "keep": colors are left untouched
+// Returns the processed markup and the color slots (original colors, in slot order).
+export function applyColorMode(optimizedSvg, mode = "keep") {
+  if (mode === "keep") {
+    return { svg: optimizedSvg, colorSlots: [] };
+  }
+  const colors = collectColors(optimizedSvg);
+  if (mode === "current") {
+    if (colors.size > 1) {
+      return { svg: optimizedSvg, colorSlots: [] };
+    }
+    if (colors.size === 1) {
+      return { svg: replaceColors(optimizedSvg, () => "currentColor", false), colorSlots: [] };
+    }
+    // No explicit color: the shapes are painted with the default black fill
+    const svg = optimizedSvg.replace(/^(\s*<svg\b)((?:(?!\sfill=)[^>])*>)/, '$1 fill="currentColor"$2');
+    return { svg, colorSlots: [] };
+  }
+  if (mode === "vars") {
+    const slotByColor = new Map([...colors.keys()].map((color, index) => [color, index + 1]));
+    const svg = replaceColors(
+      optimizedSvg,
+      (value) => `var(${COLOR_VARIABLE_PREFIX}${slotByColor.get(normalizeColor(value))}, ${value.trim()})`,
+      true
+    );
+    return { svg, colorSlots: [...colors.values()] };
+  }
+  throw new Error(`Unknown color mode "${mode}". Expected one of: ${COLOR_MODES.join(", ")}.`);
+}
+// Explicit colors left in the markup (currentColor, none, url() and var() references do not count)
+export function getHardCodedColors(svg) {
+  return [...collectColors(svg).values()];
+}
+// Reads the color slots back from generated markup (used when the aggregate files are rebuilt)
+export function getColorSlotsFromMarkup(markup) {
+  const slots = [];
+  const pattern = new RegExp(`var\\(${COLOR_VARIABLE_PREFIX}(\\d+),`, "g");
+  for (const match of markup.matchAll(pattern)) {
+    const fallback = readUntilClosingParenthesis(markup, match.index + match[0].length);
+    if (fallback !== null) slots[Number(match[1]) - 1] ??= fallback.trim();
+  }
+  return Array.from(slots, (color) => color ?? "");
+}
+// Text from `start` up to the parenthesis closing the enclosing var(, skipping nested ones as in
+// rgb(0 0 0); null when it is never closed
+function readUntilClosingParenthesis(text, start) {
+  let depth = 0;
+  for (let index = start; index < text.length; index++) {
+    if (text[index] === "(") depth++;
+    else if (text[index] === ")" && depth-- === 0) return text.slice(start, index);
+  }
+  return null;
+}
@@ -0,0 +1,307 @@
+// src/config.js
+import fs from "fs-extra";
+import path from "path";
+import { pathToFileURL } from "url";
+import { loadConfig as loadSvgoConfig } from "svgo";
+import kleur from "kleur";
+import { getPresetSvgoPlugins } from "./presets.js";
+import { ICONIFY_FILE_NAME } from "./iconify.js";
+export const SCRIPT_NAME = "svelte-svg-gen";
+export const DEFAULT_OUTPUT_DIR = "src/lib/svg-icons";
+export const COMPONENTS_SUBDIR = "components";
+export const LOADER_NAME = "SvgIcon";
+export const TYPE_NAME = "SvgName";
+export const DEFAULT_BASE_CLASS = "svg-icon";
+export const CONFIG_FILE_NAMES = [
+  `${SCRIPT_NAME}.config.js`,
+  `${SCRIPT_NAME}.config.mjs`,
+  `${SCRIPT_NAME}.config.cjs`,
+  `${SCRIPT_NAME}.config.json`,
+];
+export async function loadSvgoConfiguration(configPath, logger = console, preset = "fill") {
+  const defaultSvgoConfig = {
+    multipass: true,
+    plugins: getPresetSvgoPlugins(preset),
+  };
+  if (configPath && typeof configPath === "object") {
+    // Inline SVGO config object (e.g. from a project config file)
+    return {
+      ...defaultSvgoConfig,
+      ...configPath,
+      plugins: configPath.plugins || defaultSvgoConfig.plugins,
+    };
+  }
+  if (configPath) {
+    try {
+      const resolvedPath = path.resolve(process.cwd(), configPath);
+      if (await fs.pathExists(resolvedPath)) {
+        let configModule;
+        if (resolvedPath.endsWith(".js") || resolvedPath.endsWith(".mjs")) {
+          configModule = (await import(pathToFileURL(resolvedPath).href)).default;
+        } else {
+          configModule = await loadSvgoConfig(resolvedPath);
+        }
+        if (configModule) {
+          logger.log(kleur.green(`✔ Loaded custom SVGO config:`), kleur.dim(resolvedPath));
+          if (typeof configModule === "object" && configModule !== null) {
+            return {
+              ...defaultSvgoConfig,
+              ...configModule,
+              plugins: configModule.plugins || defaultSvgoConfig.plugins,
+            };
+          }
+          return configModule;
+        } else {
+          logger.warn(
+            kleur.yellow(`⚠ Custom SVGO config at ${resolvedPath} loaded as null/undefined. Using defaults.`)
+          );
+        }
+      } else {
+        logger.warn(kleur.yellow(`⚠ Custom SVGO config not found at ${resolvedPath}. Using defaults.`));
+      }
+    } catch (error) {
+      logger.error(kleur.red(`✖ Error loading SVGO config from ${configPath}:`), error);
+      logger.warn(kleur.yellow("Using default SVGO configuration."));
+    }
+  }
+  return defaultSvgoConfig;
+}
+// Reads the major version of the `svelte` package installed in (or declared by) the project
+export async function detectSvelteMajorVersion(cwd) {
+  let dir = cwd;
+  while (true) {
+    const installedPkgPath = path.join(dir, "node_modules", "svelte", "package.json");
+    if (await fs.pathExists(installedPkgPath)) {
+      try {
+        const { version } = await fs.readJson(installedPkgPath);
+        const major = parseInt(String(version).split(".")[0], 10);
+        if (!Number.isNaN(major)) return major;
+      } catch {
+        // Unreadable package.json, keep looking
+      }
+    }
+    const parentDir = path.dirname(dir);
+    if (parentDir === dir) break;
+    dir = parentDir;
+  }
+  try {
+    const projectPkg = await fs.readJson(path.join(cwd, "package.json"));
+    const range = projectPkg.devDependencies?.svelte || projectPkg.dependencies?.svelte || projectPkg.peerDependencies?.svelte;
+    const majorMatch = range && String(range).match(/(\d+)/);
+    if (majorMatch) return parseInt(majorMatch[1], 10);
+  } catch {
+    // No readable package.json in cwd
+  }
+  return null;
+}
+export async function resolveSvelteTarget(requestedVersion, cwd = process.cwd()) {
+  if (requestedVersion) {
+    return { major: requestedVersion, runes: requestedVersion >= 5, detected: false };
+  }
+  const detectedMajor = await detectSvelteMajorVersion(cwd);
+  const major = detectedMajor || 4;
+  return { major, runes: major >= 5, detected: Boolean(detectedMajor) };
+}
+// --- Project Config (icon sets) ---
+export async function loadProjectConfig(configPath, cwd = process.cwd(), logger = console) {
+  let resolvedPath = null;
+  if (configPath) {
+    resolvedPath = path.resolve(cwd, configPath);
+    if (!(await fs.pathExists(resolvedPath))) {
+      throw new Error(`Config file not found at ${resolvedPath}`);
+    }
+  } else {
+    for (const fileName of CONFIG_FILE_NAMES) {
+      const candidatePath = path.join(cwd, fileName);
+      if (await fs.pathExists(candidatePath)) {
+        resolvedPath = candidatePath;
+        break;
+      }
+    }
+  }
+  if (resolvedPath) {
+    let config;
+    if (resolvedPath.endsWith(".json")) {
+      config = await fs.readJson(resolvedPath);
+    } else {
+      const configModule = await import(pathToFileURL(resolvedPath).href);
+      config = configModule.default ?? configModule;
+    }
+    if (typeof config === "function") {
+      config = await config();
+    }
+    if (!config || typeof config !== "object") {
+      throw new Error(`Config file ${resolvedPath} must export an object.`);
+    }
+    return { config, configPath: resolvedPath, configDir: path.dirname(resolvedPath) };
+  }
+  const packageJsonPath = path.join(cwd, "package.json");
+  if (await fs.pathExists(packageJsonPath)) {
+    try {
+      const packageJson = await fs.readJson(packageJsonPath);
+      if (packageJson[SCRIPT_NAME] && typeof packageJson[SCRIPT_NAME] === "object") {
+        return { config: packageJson[SCRIPT_NAME], configPath: packageJsonPath, configDir: cwd };
+      }
+    } catch (error) {
+      logger.warn(kleur.yellow(`⚠ Could not read ${packageJsonPath}: ${error.message}`));
+    }
+  }
+  return null;
+}
+export const VARIANT_MODES = ["folder", "suffix"];
+
+// Checks the variant options of an icon set, throwing on combinations that cannot work
+function validateVariantOptions(options) {
+  if (!options.variants) return;
+  if (!VARIANT_MODES.includes(options.variants)) {
+    throw new Error(`Unknown variants mode "${options.variants}". Expected one of: ${VARIANT_MODES.join(", ")}.`);
+  }
+  if (options.variants === "suffix" && options.variantNames.length === 0) {
+    throw new Error('The "suffix" variants mode needs the variant names (variantNames), e.g. ["outline", "solid"].');
+  }
+  if (options.defaultVariant && options.variantNames.length > 0 && !options.variantNames.includes(options.defaultVariant)) {
+    throw new Error(`The default variant "${options.defaultVariant}" is not one of: ${options.variantNames.join(", ")}.`);
+  }
+}
+// Checks the naming options of an icon set; prefixes and suffixes end up in component names and bindings
+function validateNamingOptions(options) {
+  if (options.componentPrefix && !/^[A-Z][A-Za-z0-9_]*$/.test(options.componentPrefix)) {
+    throw new Error(`Invalid component prefix "${options.componentPrefix}": use a capitalized identifier such as "Icon".`);
+  }
+  if (!/^[A-Za-z0-9_]*$/.test(options.componentSuffix)) {
+    throw new Error(`Invalid component suffix "${options.componentSuffix}": use letters, digits and underscores only.`);
+  }
+  if (options.rename && typeof options.rename !== "function") {
+    throw new Error("The rename option must be a function (name, info) => string, set in a JavaScript config file.");
+  }
+}
+// Icon names as they appear in the generated types ("arrow-left")
+const ICON_NAME_PATTERN = /^[a-z0-9_]+(-[a-z0-9_]+)*$/;
+// Alias map ({ alias: target }) of an icon set, checked for names that cannot be icon names
+function normalizeAliases(aliases = {}) {
+  if (!aliases || typeof aliases !== "object" || Array.isArray(aliases)) {
+    throw new Error('The aliases option must map alias names to icon names, e.g. { "trash": "delete" }.');
+  }
+  for (const [alias, target] of Object.entries(aliases)) {
+    if (!ICON_NAME_PATTERN.test(alias) || typeof target !== "string" || !ICON_NAME_PATTERN.test(target)) {
+      throw new Error(`Invalid alias "${alias}" -> "${target}": use icon names such as "arrow-left".`);
+    }
+    if (alias === target) {
+      throw new Error(`The alias "${alias}" points to itself.`);
+    }
+  }
+  return { ...aliases };
+}
+// Deprecated names, as a list or as { name: message }; normalized to { name: message } ("" without one)
+function normalizeDeprecations(deprecated = {}) {
+  const entries = Array.isArray(deprecated)
+    ? deprecated.map((name) => [name, ""])
+    : Object.entries(deprecated || {}).map(([name, message]) => [name, message === true ? "" : message]);
+  for (const [name, message] of entries) {
+    if (!ICON_NAME_PATTERN.test(name) || typeof message !== "string") {
+      throw new Error(`Invalid deprecation of "${name}": expected an icon name and an optional message string.`);
+    }
+  }
+  return Object.fromEntries(entries.map(([name, message]) => [name, message.replace(/\s+/g, " ").trim()]));
+}
+function toKebabCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+}
+export function isUrl(input) {
+  return input.startsWith("http://") || input.startsWith("https://");
+}
+// Fills in defaults for an icon set and resolves its paths against baseDir
+export function normalizeIconSet(name, options, baseDir) {
+  const inputs = [].concat(options.input || []);
+  const output = path.resolve(baseDir, options.output || DEFAULT_OUTPUT_DIR);
+  const iconSet = {
+    name,
+    input: inputs.map((input) => (isUrl(input) ? input : path.relative(process.cwd(), path.resolve(baseDir, input)) || ".")),
+    output,
+    componentsDir: options.componentsDir || COMPONENTS_SUBDIR,
+    svgoConfig:
+      typeof options.svgoConfig === "string" ? path.resolve(baseDir, options.svgoConfig) : options.svgoConfig,
+    baseClass: options.baseClass ?? DEFAULT_BASE_CLASS,
+    loaderName: options.loaderName || LOADER_NAME,
+    typeName: options.typeName || TYPE_NAME,
+    clean: Boolean(options.clean),
+    prune: Boolean(options.prune),
+    svelte: options.svelte,
+    mode: options.mode || "components",
+    loader: options.loader || "lazy",
+    barrel: options.barrel ?? true,
+    colors: options.colors || "keep",
+    preset: options.preset || "fill",
+    nonScalingStroke: Boolean(options.nonScalingStroke),
+    normalizeViewBox: options.normalizeViewBox || null,
+    viewBoxPadding: options.viewBoxPadding ?? 0,
+    unsafe: Boolean(options.unsafe),
+    lint: options.lint || {},
+    maxIconBytes: options.maxIconBytes || null,
+    maxTotalBytes: options.maxTotalBytes || null,
+    gallery: Boolean(options.gallery),
+    // `true` writes iconify.json next to the generated files, a string names the file
+    exportIconify:
+      typeof options.exportIconify === "string"
+        ? path.resolve(baseDir, options.exportIconify)
+        : options.exportIconify
+          ? path.join(output, ICONIFY_FILE_NAME)
+          : null,
+    // `true` reads sidecar files (home.json next to home.svg) only, a string also names a central JSON/YAML file
+    metadata:
+      typeof options.metadata === "string" ? path.resolve(baseDir, options.metadata) : options.metadata ? true : null,
+    variants: options.variants || null,
+    variantNames: [].concat(options.variantNames || []),
+    defaultVariant: options.defaultVariant || null,
+    componentPrefix: options.componentPrefix || "",
+    componentSuffix: options.componentSuffix || "",
+    namespace: Boolean(options.namespace),
+    rename: options.rename || null,
+    aliases: normalizeAliases(options.aliases),
+    deprecated: normalizeDeprecations(options.deprecated),
+    spriteInline: Boolean(options.spriteInline),
+    spritePrefix: options.spritePrefix ?? `${toKebabCase(options.loaderName || LOADER_NAME)}-`,
+  };
+  validateVariantOptions(iconSet);
+  validateNamingOptions(iconSet);
+  return iconSet;
+}
+// Config shape: shared options at the top level, plus an optional `sets` object keyed by set name.
+// Without `sets`, the top-level options describe a single set named "default".
+export function resolveIconSets(projectConfig, selectedSetName, overrides) {
+  const { sets, ...sharedOptions } = projectConfig.config;
+  const setEntries = sets ? Object.entries(sets) : [["default", {}]];
+  if (setEntries.length === 0) {
+    throw new Error(`No icon sets defined in ${projectConfig.configPath}.`);
+  }
+  const selectedEntries = selectedSetName ? setEntries.filter(([name]) => name === selectedSetName) : setEntries;
+  if (selectedEntries.length === 0) {
+    throw new Error(
+      `Unknown icon set "${selectedSetName}". Available sets: ${setEntries.map(([name]) => name).join(", ")}`
+    );
+  }
+  return selectedEntries.map(([name, setOptions]) =>
+    normalizeIconSet(name, { ...sharedOptions, ...setOptions, ...overrides }, projectConfig.configDir)
+  );
+}
+// Resolves the icon sets described by API/plugin options: inline set options when `input` is given,
+// otherwise the sets of the project config
+export async function resolveGenerationTargets(options = {}, logger = console) {
+  const { cwd = process.cwd(), config, set, ...setOptions } = options;
+  let iconSets;
+  if (setOptions.input) {
+    iconSets = [normalizeIconSet(null, setOptions, cwd)];
+  } else {
+    const projectConfig = await loadProjectConfig(config, cwd, logger);
+    if (!projectConfig) {
+      throw new Error(`No input given and no ${SCRIPT_NAME} project config found in ${cwd}.`);
+    }
+    const overrides = Object.fromEntries(Object.entries(setOptions).filter(([, value]) => value !== undefined));
+    iconSets = resolveIconSets(projectConfig, set, overrides);
+  }
+  const targets = [];
+  for (const iconSet of iconSets) {
+    targets.push({ iconSet, svelteTarget: await resolveSvelteTarget(iconSet.svelte, cwd) });
+  }
+  return targets;
+}
@@ -0,0 +1,1062 @@
+// src/generator.js
+import fs from "fs-extra";
+import path from "path";
+import { optimize } from "svgo";
+import kleur from "kleur";
+import { createSvelteIconComponent, readIconComment } from "./templates/svelteIconTemplate.js";
+import { createSvgIconLoaderComponent } from "./templates/svgIconLoaderTemplate.js";
+import { createSvgSpriteIconComponent } from "./templates/svgSpriteTemplate.js";
+import { createGalleryPage } from "./templates/galleryTemplate.js";
+import { createIconifyCollection } from "./iconify.js";
+import { METADATA_FIELDS, resolveIconMetadata } from "./metadata.js";
+import { SCRIPT_NAME, loadSvgoConfiguration } from "./config.js";
+import { SPRITE_FILE_NAME, generateSpriteSet, getIconsFromSprite, getSpriteOutputPath } from "./sprite.js";
+import {
+  MANIFEST_FILE_NAME,
+  createAliasRecord,
+  createManifestEntry,
+  findStaleEntries,
+  getEntrySourcePath,
+  getTemplateFingerprint,
+  hashSourceContent,
+  hashSvgoConfig,
+  isAliasRecordCurrent,
+  isEntryFromSource,
+  isEntryUpToDate,
+  loadManifest,
+  saveManifest,
+} from "./manifest.js";
+import { diskWriter } from "./output.js";
+import { applyColorMode, getColorSlotsFromMarkup } from "./colors.js";
+import { liftRootStrokeAttributes, normalizeStrokeColors, restoreRootStrokeAttributes } from "./presets.js";
+import { getIconIdPrefix, prefixIds } from "./ids.js";
+import { normalizeViewBox } from "./viewbox.js";
+import { sanitizeSvg } from "./sanitize.js";
+import { readSvgSource } from "./sources.js";
+import { findBudgetViolations, logSizeReport, measureIcon } from "./stats.js";
+import { resolveDefaultVariant, splitVariantComponentName } from "./variants.js";
+import { applyNaming } from "./naming.js";
+
+const BARREL_FILE_NAME = "index.ts";
+const GALLERY_FILE_NAME = "index.html";
+const METADATA_FILE_NAME = "iconMeta.ts";
+export async function getCurrentIconsFromComponents(iconsComponentDir, logger = console, output = diskWriter) {
+  const existingIcons = new Map();
+  try {
+    const files = await output.readdir(iconsComponentDir);
+    for (const file of files) {
+      if (file.toLowerCase().endsWith(".svelte")) {
+        const componentName = file.replace(/\.svelte$/i, "");
+        try {
+          // Generated components record their icon name; others are named after the component
+          const recorded = readIconComment(await output.readFile(path.join(iconsComponentDir, file)));
+          const baseName = recorded ? recorded.name : componentNameToBaseName(componentName);
+          if (!baseName) {
+            logger.warn(
+              kleur.yellow(
+                `⚠ Could not determine base name for ${file}. Skipping this component during regeneration/append.`
+              )
+            );
+            continue;
+          }
+          if (baseName && componentName) {
+             const icon = { baseName, componentName };
+             if (recorded?.variant) icon.variant = recorded.variant;
+             existingIcons.set(componentName, icon);
+          }
+        } catch (readError) {
+          logger.error(kleur.red(`✖ Error processing component file ${file}:`), readError.message);
+        }
+      }
+    }
+  } catch (dirError) {
+    logger.error(kleur.red(`✖ Error reading components directory ${iconsComponentDir}:`), dirError.message);
+  }
+  return Array.from(existingIcons.values());
+}
+// With variants, component names carry the variant ("HomeOutline"). Generated components record their
+// variant, and so does the manifest; other components are split by the known variant suffixes, and the
+// rest belong to the default variant.
+export function assignComponentVariants(icons, iconSet, manifest) {
+  if (!iconSet.variants) return icons;
+  const entries = Object.values(manifest.icons);
+  const knownVariants = new Set([...iconSet.variantNames, ...entries.map((entry) => entry.variant).filter(Boolean)]);
+  const defaultVariant = resolveDefaultVariant(iconSet, knownVariants);
+  return icons.map((icon) => {
+    if (icon.variant) return icon;
+    const entry = manifest.icons[icon.componentName];
+    if (entry?.variant) return { ...icon, baseName: entry.name, variant: entry.variant };
+    const split = splitVariantComponentName(icon.componentName, knownVariants);
+    if (split) return { ...icon, baseName: componentNameToBaseName(split.stem), variant: split.variant };
+    return { ...icon, variant: defaultVariant };
+  });
+}
+function componentNameToBaseName(componentName) {
+  if (!componentName) return null;
+  return componentName
+    .replace(/([A-Z])/g, (match, p1, offset) => (offset > 0 ? "-" : "") + match.toLowerCase())
+    .replace(/^-/, "");
+}
+function generatedFileHeader(iconSet) {
+  const regenerateCommand = iconSet.name ? `-r --set ${iconSet.name}` : "-r";
+  return `// Auto-generated by ${SCRIPT_NAME}\n// Run npx ${SCRIPT_NAME} ${regenerateCommand} to regenerate.\n`;
+}
+function isEagerLoader(iconSet) {
+  return iconSet.mode !== "sprite" && iconSet.loader === "eager";
+}
+// JSDoc of a name in the type file: the icon an alias stands for, and the deprecation message
+function iconDocComment(icon, iconSet) {
+  const parts = [];
+  if (icon.aliasOf) parts.push(`Alias of '${icon.aliasOf}'.`);
+  if (Object.hasOwn(iconSet.deprecated, icon.baseName)) parts.push(`@deprecated ${iconSet.deprecated[icon.baseName]}`.trim());
+  return parts.length > 0 ? `  /** ${parts.join(" ").replace(/\*\//g, "*\\/")} */\n` : "";
+}
+function toStringLiteral(value) {
+  return `'${value.replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/\r?\n/g, "\\n")}'`;
+}
+// deprecatedIcons and the warnDeprecatedIcon() helper the loader calls with every name it renders. Svelte 5
+// targets read the development flag from esm-env (a dependency of Svelte 5, imported by buildTypeDefinition),
+// which every bundler resolves; Svelte 3/4 targets fall back to Vite's import.meta.env.DEV.
+function buildDeprecationHelpers(deprecatedNames, iconSet, svelteTarget) {
+  const isDev = svelteTarget.runes ? "DEV" : "(import.meta as ImportMeta & { env?: { DEV?: boolean } }).env?.DEV";
+  const messages = deprecatedNames.map((name) => `  '${name}': ${toStringLiteral(iconSet.deprecated[name])},`).join("\n");
+  return `
+// Deprecated names and their messages
+export const deprecatedIcons: Partial<Record<${iconSet.typeName}, string>> = {
+${messages}
+};
+
+const warnedDeprecatedIcons = new Set<string>();
+// Warns once per deprecated name, in development only
+export function warnDeprecatedIcon(name: ${iconSet.typeName}): void {
+  const message = deprecatedIcons[name];
+  if (message === undefined || warnedDeprecatedIcons.has(name) || !${isDev}) return;
+  warnedDeprecatedIcons.add(name);
+  console.warn(\`[${SCRIPT_NAME}] Icon "\${name}" is deprecated.\${message ? \` \${message}\` : ''}\`);
+}
+`;
+}
+function buildTypeDefinition(icons, iconSet, svelteTarget, deprecatedNames = []) {
+  const isSprite = iconSet.mode === "sprite";
+  const isEager = isEagerLoader(iconSet);
+  // Lazy components mode maps names to component files, eager mode to the imported components,
+  // sprite mode to symbol ids
+  const iconMapValue = (icon) => {
+    if (isSprite) return `'${icon.symbolId}'`;
+    if (isEager) return icon.componentName;
+    return `'${icon.componentName}'`;
+  };
+  const iconMapContent = icons
+      .map(icon => `${iconDocComment(icon, iconSet)}  '${icon.baseName}': ${iconMapValue(icon)},`) // Use baseName for key
+      .join('\n');
+  const uniqueIconBaseNames = [...new Set(icons.map((icon) => icon.baseName))].sort();
+  let imports = "";
+  let iconMapType = "string";
+  if (isEager) {
+    // Aliases reuse the import of their target
+    const componentImports = icons
+      .filter((icon) => !icon.aliasOf)
+      .map((icon) => `import ${icon.componentName} from './${iconSet.componentsDir}/${icon.componentName}.svelte';`)
+      .join("\n");
+    if (svelteTarget.runes) {
+      imports = `import type { Component } from 'svelte';\nimport type { SVGAttributes } from 'svelte/elements';\n${componentImports}\n\n`;
+      iconMapType = "Component<SVGAttributes<SVGSVGElement>>";
+    } else {
+      imports = `import type { ComponentType, SvelteComponent } from 'svelte';\n${componentImports}\n\n`;
+      iconMapType = "ComponentType<SvelteComponent>";
+    }
+  }
+  if (deprecatedNames.length > 0 && svelteTarget.runes) {
+    imports = `import { DEV } from 'esm-env';\n${imports || "\n"}`;
+  }
+  const nameUnion = uniqueIconBaseNames.map((baseName) => `${iconDocComment({ baseName }, iconSet)}  | '${baseName}'`).join("\n");
+  const nameType = `${generatedFileHeader(iconSet)}\n${imports}export type ${iconSet.typeName} = \n${nameUnion};\n`;
+  const deprecationHelpers = deprecatedNames.length > 0 ? buildDeprecationHelpers(deprecatedNames, iconSet, svelteTarget) : "";
+  if (iconSet.variants) {
+    return buildVariantTypeDefinition(icons, iconSet, nameType, iconMapValue, iconMapType) + deprecationHelpers;
+  }
+  let typeContent = `${nameType}\nexport const iconMap: Record<${iconSet.typeName}, ${iconMapType}> = {\n${iconMapContent}\n};\n`;
+  if (iconSet.colors === "vars" && !isSprite) {
+    const colorSlotsContent = icons
+      .map((icon) => `  '${icon.baseName}': [${(icon.colorSlots || []).map((color) => `'${color}'`).join(", ")}],`)
+      .join("\n");
+    typeContent += `\n// Original colors behind each icon's --icon-color-1, --icon-color-2, ... (colorN props)\nexport const iconColorSlots: Record<${iconSet.typeName}, readonly string[]> = {\n${colorSlotsContent}\n};\n`;
+  }
+  if (isSprite) {
+    const viewBoxContent = icons.map((icon) => `  '${icon.baseName}': '${icon.viewBox}',`).join("\n");
+    typeContent += `\nexport const iconViewBoxes: Record<${iconSet.typeName}, string> = {\n${viewBoxContent}\n};\n`;
+  }
+  return typeContent + deprecationHelpers;
+}
+// With variants, iconMap maps every name to its variants, and resolveIcon() picks one of them
+function buildVariantTypeDefinition(icons, iconSet, nameType, iconMapValue, iconMapType) {
+  const variantTypeName = `${iconSet.typeName}Variant`;
+  const iconsByName = new Map();
+  for (const icon of icons) {
+    if (!iconsByName.has(icon.baseName)) iconsByName.set(icon.baseName, []);
+    iconsByName.get(icon.baseName).push(icon);
+  }
+  for (const nameIcons of iconsByName.values()) nameIcons.sort((a, b) => a.variant.localeCompare(b.variant));
+  const variants = [...new Set(icons.map((icon) => icon.variant))].sort();
+  const defaultVariant = resolveDefaultVariant(iconSet, variants);
+  const perName = (format, withDocs = false) =>
+    [...iconsByName]
+      .map(([baseName, nameIcons]) => `${withDocs ? iconDocComment(nameIcons[0], iconSet) : ""}  '${baseName}': ${format(nameIcons)}`)
+      .join("\n");
+  const variantMap = (value) => (nameIcons) =>
+    `{ ${nameIcons.map((icon) => `'${icon.variant}': ${value(icon)}`).join(", ")} },`;
+  let typeContent = `${nameType}
+export type ${variantTypeName} = '${variants.join("' | '")}';
+
+// Variants available for each icon
+export type ${iconSet.typeName}Variants = {
+${perName((nameIcons) => `'${nameIcons.map((icon) => icon.variant).join("' | '")}';`)}
+};
+
+export const defaultVariant: ${variantTypeName} = '${defaultVariant}';
+
+export const iconMap: { [N in ${iconSet.typeName}]: Record<${iconSet.typeName}Variants[N], ${iconMapType}> } = {
+${perName(variantMap(iconMapValue), true)}
+};
+
+// The requested variant of an icon, else the default variant, else the first variant the icon has
+export function resolveIcon(name: ${iconSet.typeName}, variant: ${variantTypeName} = defaultVariant): ${iconMapType} {
+  const variants: Partial<Record<${variantTypeName}, ${iconMapType}>> = iconMap[name];
+  return (variants[variant] ?? variants[defaultVariant] ?? Object.values(variants)[0]) as ${iconMapType};
+}
+`;
+  if (iconSet.colors === "vars" && iconSet.mode !== "sprite") {
+    const slots = (icon) => `[${(icon.colorSlots || []).map((color) => `'${color}'`).join(", ")}]`;
+    typeContent += `\n// Original colors behind each icon's --icon-color-1, --icon-color-2, ... (colorN props)\nexport const iconColorSlots: Record<${iconSet.typeName}, Partial<Record<${variantTypeName}, readonly string[]>>> = {\n${perName(variantMap(slots))}\n};\n`;
+  }
+  if (iconSet.mode === "sprite") {
+    // Keyed by symbol id, since each variant has its own symbol
+    const viewBoxContent = icons.map((icon) => `  '${icon.symbolId}': '${icon.viewBox}',`).join("\n");
+    typeContent += `\nexport const iconViewBoxes: Record<string, string> = {\n${viewBoxContent}\n};\n`;
+  }
+  return typeContent;
+}
+// Barrel with one named export per component, so bundlers can tree-shake unused icons
+function buildBarrel(icons, iconSet) {
+  const componentExports = [...icons]
+    .sort((a, b) => a.componentName.localeCompare(b.componentName))
+    .map(
+      (icon) =>
+        `export { default as ${icon.componentName} } from './${iconSet.componentsDir}/${icon.componentName}.svelte';`
+    )
+    .join("\n");
+  const metadataExports = iconSet.metadata
+    ? `export { iconMeta, iconCategories, searchIcons, type IconMeta } from './${METADATA_FILE_NAME.replace(/\.ts$/, "")}';\n`
+    : "";
+  return `${generatedFileHeader(iconSet)}\n${componentExports}\n\nexport { default as ${iconSet.loaderName}, preloadIcons } from './${iconSet.loaderName}.svelte';\nexport type { ${iconSet.typeName}${iconSet.variants ? `, ${iconSet.typeName}Variant` : ""} } from './${iconSet.typeName}';\n${metadataExports}`;
+}
+// Metadata catalog (--metadata) with an entry for every name, the categories in use and a searchIcons()
+// helper for icon pickers
+function buildMetadataCatalog(names, metadata, iconSet) {
+  const typeName = iconSet.typeName;
+  const entries = names.map((name) => {
+    const meta = metadata.get(name) || {};
+    const fields = [`tags: [${(meta.tags || []).map(toStringLiteral).join(", ")}]`];
+    for (const field of METADATA_FIELDS.filter((field) => field !== "tags" && meta[field])) {
+      fields.push(`${field}: ${toStringLiteral(meta[field])}`);
+    }
+    return `  '${name}': { ${fields.join(", ")} },`;
+  });
+  const categories = [...new Set([...metadata.values()].map((meta) => meta.category).filter(Boolean))].sort();
+  return `${generatedFileHeader(iconSet)}
+import type { ${typeName} } from './${typeName}';
+
+export interface IconMeta {
+  tags: readonly string[];
+  category?: string;
+  description?: string;
+  author?: string;
+  license?: string;
+}
+
+export const iconMeta: Record<${typeName}, IconMeta> = {
+${entries.join("\n")}
+};
+
+export const iconCategories: readonly string[] = [${categories.map(toStringLiteral).join(", ")}];
+
+// Names matching every word of the query in their name, tags, category or description; name matches
+// rank first, then tag matches
+export function searchIcons(query: string): ${typeName}[] {
+  const terms = query.toLowerCase().split(/\\s+/).filter(Boolean);
+  const names = Object.keys(iconMeta) as ${typeName}[];
+  if (terms.length === 0) return names;
+  const matches: { name: ${typeName}; score: number }[] = [];
+  for (const name of names) {
+    const meta = iconMeta[name];
+    let score = 0;
+    for (const term of terms) {
+      let termScore = 0;
+      if (name === term) termScore = 8;
+      else if (name.includes(term)) termScore = 4;
+      else if (meta.tags.some((tag) => tag.toLowerCase().includes(term))) termScore = 2;
+      else if ([meta.category, meta.description].some((text) => text?.toLowerCase().includes(term))) termScore = 1;
+      if (termScore === 0) {
+        score = 0;
+        break;
+      }
+      score += termScore;
+    }
+    if (score > 0) matches.push({ name, score });
+  }
+  return matches.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name)).map((match) => match.name);
+}
+`;
+}
+// Entries for the aliases of a set, the `aliases` option and the duplicates recorded in the manifest: a
+// copy of every entry (variant) of the target under the alias name
+function getAliasIcons(icons, iconSet, manifest, logger) {
+  const aliases = {
+    ...Object.fromEntries(Object.entries(manifest.aliases).map(([alias, record]) => [alias, record.target])),
+    ...iconSet.aliases,
+  };
+  const iconNames = new Set(icons.map((icon) => icon.baseName));
+  const aliasIcons = [];
+  for (const [alias, target] of Object.entries(aliases)) {
+    if (iconNames.has(alias)) {
+      logger.warn(kleur.yellow(`  ⚠ Ignoring alias "${alias}": an icon with that name exists.`));
+      continue;
+    }
+    const targetIcons = icons.filter((icon) => icon.baseName === target);
+    if (targetIcons.length === 0) {
+      logger.warn(kleur.yellow(`  ⚠ Ignoring alias "${alias}": "${target}" is not an icon of the set.`));
+      continue;
+    }
+    aliasIcons.push(...targetIcons.map((icon) => ({ ...icon, baseName: alias, aliasOf: target })));
+  }
+  return aliasIcons;
+}
+// Reads the metadata of the icons (sidecars of the SVG files they were generated from, found through the
+// manifest or, in sprite mode, the icons themselves) and writes the catalog
+async function writeMetadataCatalog(typeIcons, iconSet, manifest, verb, logger, output) {
+  const names = [...new Set(typeIcons.map((icon) => icon.baseName))];
+  const sourcePaths = new Map();
+  const aliasOf = new Map();
+  for (const icon of typeIcons) {
+    if (icon.aliasOf) {
+      aliasOf.set(icon.baseName, icon.aliasOf);
+      continue;
+    }
+    const sourcePath = icon.sourcePath || getEntrySourcePath(manifest.icons[icon.componentName], iconSet);
+    if (sourcePath) sourcePaths.set(icon.baseName, [...(sourcePaths.get(icon.baseName) || []), sourcePath]);
+  }
+  const metadata = await resolveIconMetadata(names, sourcePaths, aliasOf, iconSet, logger);
+  const catalogOutputPath = path.join(iconSet.output, METADATA_FILE_NAME);
+  try {
+    await output.writeFile(catalogOutputPath, buildMetadataCatalog(names, metadata, iconSet));
+    logger.log(kleur.green(`  ✔ ${verb} metadata catalog:`), kleur.dim(path.relative(process.cwd(), catalogOutputPath)));
+  } catch (error) {
+    logger.error(kleur.red(`  ✖ Error writing metadata catalog ${catalogOutputPath}:`), error);
+  }
+}
+// Writes the type definition file and the dynamic loader component for an icon set
+export async function writeAggregateFiles(icons, iconSet, svelteTarget, verb, logger = console, output = diskWriter) {
+  icons.sort((a, b) => a.baseName.localeCompare(b.baseName));
+  if (iconSet.colors === "vars" && iconSet.mode !== "sprite") {
+    // The components are the source of truth, so regenerate and watch mode see the same slots
+    for (const icon of icons) {
+      const componentPath = path.join(iconSet.output, iconSet.componentsDir, `${icon.componentName}.svelte`);
+      icon.colorSlots = getColorSlotsFromMarkup(await output.readFile(componentPath));
+    }
+  }
+  const manifest = await loadManifest(iconSet, logger, output);
+  const aliasIcons = getAliasIcons(icons, iconSet, manifest, logger);
+  const typeIcons = [...icons, ...aliasIcons].sort((a, b) => a.baseName.localeCompare(b.baseName));
+  const typeNames = new Set(typeIcons.map((icon) => icon.baseName));
+  const deprecatedNames = Object.keys(iconSet.deprecated)
+    .filter((name) => {
+      if (!typeNames.has(name)) logger.warn(kleur.yellow(`  ⚠ Deprecated name "${name}" is not an icon of the set.`));
+      return typeNames.has(name);
+    })
+    .sort();
+  const typeContent = buildTypeDefinition(typeIcons, iconSet, svelteTarget, deprecatedNames);
+  const typesFileName = `${iconSet.typeName}.ts`;
+  const typesOutputPath = path.join(iconSet.output, typesFileName);
+  try {
+    await output.writeFile(typesOutputPath, typeContent);
+    logger.log(
+      kleur.green(`  ✔ ${verb} type definition:`),
+      kleur.dim(path.relative(process.cwd(), typesOutputPath))
+    );
+  } catch (error) {
+    logger.error(kleur.red(`  ✖ Error writing type definition file ${typesOutputPath}:`), error);
+  }
+
+  // --- Generate Metadata Catalog ---
+  if (iconSet.metadata) {
+    await writeMetadataCatalog(typeIcons, iconSet, manifest, verb, logger, output);
+  }
+
+  // --- Generate Dynamic Loader Component (or the <use>-based icon component in sprite mode) ---
+  const loaderComponentContent =
+    iconSet.mode === "sprite"
+      ? createSvgSpriteIconComponent({
+          runes: svelteTarget.runes,
+          typeName: iconSet.typeName,
+          baseClass: iconSet.baseClass,
+          spriteInline: iconSet.spriteInline,
+          spriteFileName: SPRITE_FILE_NAME,
+          idPrefix: getIconIdPrefix(iconSet.loaderName),
+          variants: Boolean(iconSet.variants),
+          deprecations: deprecatedNames.length > 0,
+        })
+      : createSvgIconLoaderComponent({
+          runes: svelteTarget.runes,
+          typeName: iconSet.typeName,
+          componentsDir: iconSet.componentsDir,
+          eager: isEagerLoader(iconSet),
+          variants: Boolean(iconSet.variants),
+          deprecations: deprecatedNames.length > 0,
+        });
+  const loaderFileName = `${iconSet.loaderName}.svelte`;
+  const loaderOutputPath = path.join(iconSet.output, loaderFileName);
+  try {
+    await output.writeFile(loaderOutputPath, loaderComponentContent);
+    logger.log(kleur.green(`  ✔ ${verb} loader component:`), kleur.dim(path.relative(process.cwd(), loaderOutputPath)));
+  } catch (error) {
+    logger.error(kleur.red(`  ✖ Error writing loader component file ${loaderOutputPath}:`), error);
+  }
+
+  // --- Generate Barrel File ---
+  if (iconSet.mode === "sprite" || !iconSet.barrel) {
+    return;
+  }
+  const barrelOutputPath = path.join(iconSet.output, BARREL_FILE_NAME);
+  try {
+    await output.writeFile(barrelOutputPath, buildBarrel(icons, iconSet));
+    logger.log(kleur.green(`  ✔ ${verb} barrel exports:`), kleur.dim(path.relative(process.cwd(), barrelOutputPath)));
+  } catch (error) {
+    logger.error(kleur.red(`  ✖ Error writing barrel file ${barrelOutputPath}:`), error);
+  }
+}
+// Writes the static preview page (--gallery) from the final markup of the icons generated in this run
+function sortPreviews(previews) {
+  return [...previews.values()].sort(
+    (a, b) => a.baseName.localeCompare(b.baseName) || (a.variant || "").localeCompare(b.variant || "")
+  );
+}
+async function writeGallery(previews, iconSet, logger = console, output = diskWriter) {
+  const icons = sortPreviews(previews);
+  const galleryOutputPath = path.join(iconSet.output, GALLERY_FILE_NAME);
+  try {
+    await output.writeFile(
+      galleryOutputPath,
+      createGalleryPage(icons, { title: `${iconSet.name || iconSet.loaderName} icons`, loaderName: iconSet.loaderName })
+    );
+    logger.log(kleur.green(`  ✔ Updated gallery:`), kleur.dim(path.relative(process.cwd(), galleryOutputPath)));
+  } catch (error) {
+    logger.error(kleur.red(`  ✖ Error writing gallery ${galleryOutputPath}:`), error);
+  }
+}
+// Iconify prefix of the set: its name, else the loader name in kebab case ("SvgIcon" -> "svg-icon")
+function getIconifyPrefix(iconSet) {
+  const name = iconSet.name && iconSet.name !== "default" ? iconSet.name : iconSet.loaderName;
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+// Writes the final markup of the icons as an Iconify JSON collection; variants are named "<name>-<variant>"
+async function writeIconifyExport(previews, iconSet, logger = console, output = diskWriter) {
+  const icons = sortPreviews(previews).map((icon) => ({
+    name: icon.variant ? `${icon.baseName}-${icon.variant}` : icon.baseName,
+    markup: icon.markup,
+  }));
+  try {
+    const collection = createIconifyCollection(icons, getIconifyPrefix(iconSet));
+    await output.writeFile(iconSet.exportIconify, `${JSON.stringify(collection, null, 2)}\n`);
+    logger.log(kleur.green(`  ✔ Updated Iconify export:`), kleur.dim(path.relative(process.cwd(), iconSet.exportIconify)));
+  } catch (error) {
+    logger.error(kleur.red(`  ✖ Error writing Iconify export ${iconSet.exportIconify}:`), error);
+  }
+}
+// Final markup of an icon, as listed in the gallery and the Iconify export
+export function createIconPreview(source, markup) {
+  return { baseName: source.baseName, componentName: source.componentName, variant: source.variant, markup };
+}
+// Writes the gallery and the Iconify export of the set, when enabled, from the previews by component name
+export async function writePreviewFiles(previews, iconSet, logger = console, output = diskWriter) {
+  if (iconSet.gallery) await writeGallery(previews, iconSet, logger, output);
+  if (iconSet.exportIconify) await writeIconifyExport(previews, iconSet, logger, output);
+}
+export async function regenerateFilesFromComponents(iconSet, svelteTarget, logger = console, output = diskWriter) {
+  if (iconSet.mode === "sprite") {
+    return regenerateFilesFromSprite(iconSet, svelteTarget, logger, output);
+  }
+  const iconsComponentDir = path.join(iconSet.output, iconSet.componentsDir);
+  logger.log(
+    kleur.magenta(
+      `\n♻️ Regenerating files based on components in ${path.relative(process.cwd(), iconsComponentDir)}...`
+    )
+  );
+  let icons = await getCurrentIconsFromComponents(iconsComponentDir, logger, output);
+  if (iconSet.variants) icons = assignComponentVariants(icons, iconSet, await loadManifest(iconSet, logger, output));
+  if (icons.length === 0) {
+    logger.warn(
+      kleur.yellow(`No valid Svelte components found in ${iconsComponentDir}. Cannot generate type or loader.`)
+    );
+    return [];
+  }
+  logger.log(kleur.cyan(`  Found ${icons.length} components to include.`));
+  await writeAggregateFiles(icons, iconSet, svelteTarget, "Regenerated", logger, output);
+
+  logger.log(kleur.bold().green("\n♻️ Regeneration complete! ✨\n"));
+  return icons;
+}
+async function regenerateFilesFromSprite(iconSet, svelteTarget, logger, output) {
+  const spritePath = getSpriteOutputPath(iconSet);
+  logger.log(kleur.magenta(`\n♻️ Regenerating files based on the symbols in ${path.relative(process.cwd(), spritePath)}...`));
+  const icons = await getIconsFromSprite(iconSet);
+  if (icons.length === 0) {
+    logger.warn(kleur.yellow(`No symbols found in ${spritePath}. Cannot generate type or icon component.`));
+    return [];
+  }
+  logger.log(kleur.cyan(`  Found ${icons.length} symbols to include.`));
+  await writeAggregateFiles(icons, iconSet, svelteTarget, "Regenerated", logger, output);
+
+  logger.log(kleur.bold().green("\n♻️ Regeneration complete! ✨\n"));
+  return icons;
+}
+
+// Reads and optimizes a single SVG source, returning the optimized markup
+export async function optimizeSvgSource(source, svgoConfig) {
+    const svgContent = await readSvgSource(source);
+
+    const optimizeOptions = { ...svgoConfig };
+    if (source.path) optimizeOptions.path = source.path;
+
+    const optimizedSvgResult = optimize(svgContent, optimizeOptions);
+
+    if (optimizedSvgResult.error) {
+      throw new Error(`SVGO Optimization Error: ${optimizedSvgResult.error}`);
+    }
+    if (!optimizedSvgResult.data) {
+      throw new Error(`SVGO Optimization returned no data.`);
+    }
+    return optimizedSvgResult.data;
+}
+
+// Optimized markup, sanitized unless the set is `unsafe` (reporting what was stripped), and normalized to the
+// set's viewBox grid (`normalizeViewBox`, `viewBoxPadding`) when one is set
+async function prepareSvgSource(source, svgoConfig, iconSet, logger) {
+    let svg = await optimizeSvgSource(source, svgoConfig);
+    if (!iconSet.unsafe) {
+      const { svg: sanitizedSvg, removed } = sanitizeSvg(svg);
+      if (removed.length > 0) {
+        logger.warn(kleur.yellow(`  ⚠ Sanitized ${source.origin}, removed:`), removed.join(", "));
+      }
+      svg = sanitizedSvg;
+    }
+    if (!iconSet.normalizeViewBox) return svg;
+    return normalizeViewBox(svg, iconSet.normalizeViewBox, iconSet.viewBoxPadding);
+}
+// Optimized markup with the set's color mode applied, as used for sprite symbols
+export async function optimizeSpriteSource(source, svgoConfig, iconSet, logger = console) {
+    let svg = await prepareSvgSource(source, svgoConfig, iconSet, logger);
+    if (iconSet.preset === "outline") svg = normalizeStrokeColors(svg);
+    return applyColorMode(svg, iconSet.colors).svg;
+}
+// Processes a single SVG source: optimize, sanitize (unless `options.unsafe`), normalize the viewBox
+// (`options.normalizeViewBox`), prefix its ids with the component name, apply the preset (`options.preset`,
+// `options.nonScalingStroke`) and the color mode (`options.colors`), render the component
+export async function processSvgSource(source, svgoConfig, baseClass, svelteTarget, options = {}, logger = console) {
+    const { content } = await renderIconComponent(source, svgoConfig, baseClass, svelteTarget, options, logger);
+    return content;
+}
+// Same as processSvgSource, also returning the size statistics of the icon, its final SVG markup (as
+// shown in the gallery) and the hash of its optimized markup (see createManifestEntry)
+export async function renderIconComponent(source, svgoConfig, baseClass, svelteTarget, options = {}, logger = console) {
+    const sourceContent = await readSvgSource(source);
+    const preparedSvg = await prepareSvgSource(source, svgoConfig, options, logger);
+    let optimizedSvg = prefixIds(preparedSvg, getIconIdPrefix(source.componentName));
+    let stroke = null;
+    if (options.preset === "outline") {
+      const lifted = liftRootStrokeAttributes(normalizeStrokeColors(optimizedSvg));
+      optimizedSvg = lifted.svg;
+      stroke = { defaults: lifted.strokeDefaults, nonScalingStroke: options.nonScalingStroke };
+    }
+    const { svg, colorSlots } = applyColorMode(optimizedSvg, options.colors);
+    const svelteComponentContent = createSvelteIconComponent(svg, baseClass, {
+      runes: svelteTarget.runes,
+      colorSlots,
+      stroke,
+      icon: { name: source.baseName, variant: source.variant },
+      idPrefix: getIconIdPrefix(source.componentName),
+    });
+    return {
+      content: svelteComponentContent,
+      stats: measureIcon(sourceContent, preparedSvg, svelteComponentContent),
+      markup: stroke ? restoreRootStrokeAttributes(svg, stroke.defaults) : svg,
+      markupHash: hashSourceContent(preparedSvg),
+    };
+}
+
+function silentWarnings(logger) {
+  return { log: logger.log, warn() {}, error: logger.error };
+}
+function describeStats(source, stats) {
+  return { baseName: source.baseName, componentName: source.componentName, ...stats };
+}
+// Prints the size table of the set and records the budgets it exceeds in `result.overBudget`
+function reportSizes(result, iconSet, logger) {
+  logSizeReport(result.stats, logger);
+  result.overBudget = findBudgetViolations(result.stats, iconSet);
+  for (const violation of result.overBudget) {
+    logger.error(kleur.red(`  ✖ Over budget: ${violation.message}`));
+  }
+}
+// Hash of the markup of every icon name over all its variants, from the markup hashes of the sources
+// rendered (or found unchanged) in this run; null when one of its sources has none, e.g. it failed
+function getNameMarkupHashes(sources, markupHashes) {
+  const sourcesByName = new Map();
+  for (const source of sources) {
+    sourcesByName.set(source.baseName, [...(sourcesByName.get(source.baseName) || []), source]);
+  }
+  const nameHashes = new Map();
+  for (const [baseName, nameSources] of sourcesByName) {
+    const parts = nameSources.map((source) => {
+      const markupHash = markupHashes.get(source.componentName);
+      return markupHash && `${source.variant || ""}:${markupHash}`;
+    });
+    nameHashes.set(baseName, parts.every(Boolean) ? hashSourceContent(parts.sort().join("\n")) : null);
+  }
+  return nameHashes;
+}
+// Names whose markup is byte-identical to that of an alphabetically earlier name: [{ name, target, markupHash }]
+function findDuplicateNames(nameHashes) {
+  const firstNames = new Map();
+  const duplicates = [];
+  for (const [name, markupHash] of [...nameHashes].sort(([a], [b]) => a.localeCompare(b))) {
+    if (!markupHash) continue;
+    if (firstNames.has(markupHash)) duplicates.push({ name, target: firstNames.get(markupHash), markupHash });
+    else firstNames.set(markupHash, name);
+  }
+  return duplicates;
+}
+function describeSource(source, outputSveltePath) {
+  return {
+    baseName: source.baseName,
+    componentName: source.componentName,
+    origin: source.origin,
+    file: outputSveltePath || null,
+  };
+}
+// Optimizes the resolved sources of one icon set and writes its components, type file and loader
+// `onConflict` decides what happens to components that already exist: "overwrite", "skip", "fail"
+// (reported as failures), or a function receiving the conflicts and resolving to true to overwrite them.
+// `onDuplicate` decides what happens to icons whose optimized markup is identical to another icon's: "keep"
+// (only reported), "alias" (their components are removed and their names become aliases of the other icon,
+// recorded in the manifest), or a function receiving the duplicates and resolving to true to alias them.
+// Pass an `output` writer created with `dryRun: true` to only plan the changes, and `rebuild` to render
+// icons the manifest considers unchanged as well.
+export async function generateIconSet(sourcesToProcess, iconSet, svelteTarget, inputDesc, options = {}) {
+  const { onConflict = "skip", onDuplicate = "keep", logger = console, output = diskWriter, rebuild = false } = options;
+  const outputDir = iconSet.output;
+  const iconsComponentDir = path.join(outputDir, iconSet.componentsDir);
+  const baseClass = iconSet.baseClass;
+  // --- Load SVGO Config ---
+  const svgoConfig = await loadSvgoConfiguration(iconSet.svgoConfig, logger, iconSet.preset);
+  sourcesToProcess = applyNaming(sourcesToProcess, iconSet);
+  // --- Log Final Configuration ---
+  logger.log(kleur.magenta("Processing Options:"));
+  if (iconSet.name) logger.log(kleur.gray(`  Icon Set:       `), kleur.blue(iconSet.name));
+  logger.log(kleur.gray(`  Input Source:   `), kleur.blue(inputDesc));
+  logger.log(kleur.gray(`  Output Dir:     `), kleur.blue(path.relative(process.cwd(), outputDir) || "."));
+  logger.log(kleur.gray(`  Clean Subdir:   `), kleur.blue(iconSet.clean ? "Yes" : "No"));
+  logger.log(kleur.gray(`  Base Class:     `), kleur.blue(baseClass || "(None)"));
+  logger.log(
+    kleur.gray(`  Svelte Target:  `),
+    kleur.blue(
+      `${svelteTarget.major} (${svelteTarget.runes ? "runes" : "legacy"}${svelteTarget.detected ? ", detected" : ""})`
+    )
+  );
+  let svgoConfigDesc = "Default";
+  if (typeof iconSet.svgoConfig === "string") svgoConfigDesc = path.relative(process.cwd(), iconSet.svgoConfig);
+  else if (iconSet.svgoConfig) svgoConfigDesc = "Inline (from config)";
+  logger.log(kleur.gray(`  SVGO Config:    `), kleur.blue(svgoConfigDesc));
+  logger.log(kleur.gray(`  Names:          `), kleur.blue(`${iconSet.typeName}.ts, ${iconSet.loaderName}.svelte`));
+  logger.log(
+    kleur.gray(`  Mode:           `),
+    kleur.blue(
+      iconSet.mode === "sprite"
+        ? `sprite (${iconSet.spriteInline ? "inline" : "by URL"})`
+        : `components (${iconSet.loader} loader${iconSet.barrel ? ", barrel" : ""})`
+    )
+  );
+  logger.log(
+    kleur.gray(`  Preset:         `),
+    kleur.blue(`${iconSet.preset}${iconSet.nonScalingStroke ? " (non-scaling strokes)" : ""}`)
+  );
+  logger.log(kleur.gray(`  Colors:         `), kleur.blue(iconSet.colors));
+  if (iconSet.normalizeViewBox) {
+    logger.log(
+      kleur.gray(`  ViewBox Grid:   `),
+      kleur.blue(`${iconSet.normalizeViewBox} (padding ${iconSet.viewBoxPadding})`)
+    );
+  }
+  if (iconSet.variants) {
+    const variants = [...new Set(sourcesToProcess.map((source) => source.variant))].sort();
+    logger.log(
+      kleur.gray(`  Variants:       `),
+      kleur.blue(`by ${iconSet.variants} (${variants.join(", ")}; default ${resolveDefaultVariant(iconSet, variants)})`)
+    );
+  }
+  logger.log("");
+  // Final markup of every icon, for the gallery and the Iconify export
+  const previews = new Map();
+  const addPreview = (source, markup) => previews.set(source.componentName, createIconPreview(source, markup));
+  if (iconSet.mode === "sprite") {
+    // The sprite is rebuilt from all sources on every run, so there are no per-icon conflicts
+    const result = await generateSpriteSet(
+      sourcesToProcess,
+      iconSet,
+      async (source) => {
+        const svg = await optimizeSpriteSource(source, svgoConfig, iconSet, logger);
+        addPreview(source, prefixIds(svg, getIconIdPrefix(source.componentName)));
+        return svg;
+      },
+      logger,
+      output
+    );
+    reportSizes(result, iconSet, logger);
+    if (result.icons.length > 0) {
+      logger.log(kleur.magenta(`\nGenerating aggregate files (${iconSet.typeName}.ts, ${iconSet.loaderName}.svelte)...`));
+      await writeAggregateFiles(result.icons, iconSet, svelteTarget, "Updated", logger, output);
+      await writePreviewFiles(previews, iconSet, logger, output);
+      logger.log(kleur.bold().green("\n✨ Generation complete! ✨\n"));
+    }
+    return result;
+  }
+  // --- Prepare Output Directories ---
+  try {
+    await output.ensureDir(outputDir);
+    if (iconSet.clean) {
+      if (await fs.pathExists(iconsComponentDir)) {
+        await output.emptyDir(iconsComponentDir);
+        logger.log(
+          kleur.yellow(`🧹 Cleaned components subdirectory:`),
+          kleur.dim(path.relative(process.cwd(), iconsComponentDir))
+        );
+      } else {
+        logger.log(kleur.gray(`Components subdirectory (${iconSet.componentsDir}) does not exist, skipping clean.`));
+        await output.ensureDir(iconsComponentDir);
+      }
+    } else {
+      await output.ensureDir(iconsComponentDir);
+    }
+  } catch (error) {
+    logger.error(kleur.red(`✖ Error preparing output directories:`), error);
+    throw error;
+  }
+  // --- Load Manifest ---
+  // Components generated from an unchanged source with the same settings are skipped, components whose
+  // source changed are regenerated without asking; only files the manifest does not attribute to the
+  // source are treated as conflicts.
+  const manifest = iconSet.clean ? { icons: {}, aliases: {} } : await loadManifest(iconSet, logger, output);
+  const fingerprints = {
+    svgoConfigHash: hashSvgoConfig(svgoConfig),
+    templateVersion: getTemplateFingerprint(iconSet, svelteTarget),
+  };
+  // --- Process and Generate Individual Svelte Components ---
+  logger.log(kleur.magenta(`\nProcessing ${sourcesToProcess.length} potential SVG source(s)...`));
+  const result = { generated: [], skipped: [], failed: [], pruned: [], aliased: [], icons: [], stats: [], overBudget: [] };
+  const conflicts = [];
+  const processedComponentNamesInRun = new Set();
+  // Source and markup hashes of the sources rendered or found unchanged in this run, by component name
+  const sourceHashes = new Map();
+  const markupHashes = new Map();
+  // Sources of the aliases recorded in the manifest; checked once all other icons are known
+  const aliasSources = [];
+  const generateComponent = async (source, outputSveltePath, sourceHash, exists) => {
+    try {
+        const { content, stats, markup, markupHash } = await renderIconComponent(source, svgoConfig, baseClass, svelteTarget, iconSet, logger);
+        await output.writeFile(outputSveltePath, content);
+        addPreview(source, markup);
+        manifest.icons[source.componentName] = createManifestEntry(source, sourceHash, fingerprints, iconSet, stats, markupHash);
+        sourceHashes.set(source.componentName, sourceHash);
+        markupHashes.set(source.componentName, markupHash);
+        result.stats.push(describeStats(source, stats));
+        result.generated.push({ ...describeSource(source, outputSveltePath), overwritten: exists });
+        processedComponentNamesInRun.add(source.componentName); // Track successful generation
+        logger.log(
+            kleur.green(exists ? `  ✔ Updated:` : `  ✔ Generated:`),
+            kleur.dim(`${path.relative(process.cwd(), outputSveltePath)} (from ${source.origin})`)
+        );
+    } catch (error) {
+        result.failed.push({ ...describeSource(source, outputSveltePath), error: error.message });
+        logger.error(kleur.red(`  ✖ Error processing ${source.origin}:`), error.message);
+    }
+  };
+  for (const source of sourcesToProcess) {
+    if (processedComponentNamesInRun.has(source.componentName)) {
+      logger.warn(
+        kleur.yellow(
+          `  ⚠ Skipping duplicate component name "${source.componentName}" in this batch (from ${source.origin}). Choose unique names or sources.`
+        )
+      );
+      result.failed.push({ ...describeSource(source), error: "Duplicate component name in this batch" });
+      continue;
+    }
+    const outputSveltePath = path.join(iconsComponentDir, `${source.componentName}.svelte`);
+    let exists = false;
+    if (!iconSet.clean) {
+        try {
+            exists = await output.pathExists(outputSveltePath);
+        } catch (checkError) {
+            logger.error(kleur.red(`  ✖ Error checking existence of ${outputSveltePath}:`), checkError.message);
+            result.failed.push({ ...describeSource(source, outputSveltePath), error: checkError.message });
+            continue;
+        }
+    }
+
+    let sourceHash;
+    try {
+        sourceHash = hashSourceContent(await readSvgSource(source));
+    } catch (readError) {
+        logger.error(kleur.red(`  ✖ Error reading ${source.origin}:`), readError.message);
+        result.failed.push({ ...describeSource(source, outputSveltePath), error: readError.message });
+        continue;
+    }
+    if (manifest.aliases[source.baseName]) {
+        aliasSources.push({ source, outputSveltePath, sourceHash, exists });
+        continue;
+    }
+    const manifestEntry = manifest.icons[source.componentName];
+    const isOwnComponent = exists && isEntryFromSource(manifestEntry, source, iconSet);
+    if (!rebuild && isOwnComponent && isEntryUpToDate(manifestEntry, sourceHash, fingerprints)) {
+        result.skipped.push({ ...describeSource(source, outputSveltePath), reason: "unchanged" });
+        result.stats.push(describeStats(source, manifestEntry.stats));
+        sourceHashes.set(source.componentName, sourceHash);
+        markupHashes.set(source.componentName, manifestEntry.markupHash);
+        processedComponentNamesInRun.add(source.componentName);
+        if (iconSet.gallery || iconSet.exportIconify) {
+          // Rendered again (quietly) only for its markup; the component itself is left alone
+          const { markup } = await renderIconComponent(source, svgoConfig, baseClass, svelteTarget, iconSet, silentWarnings(logger));
+          addPreview(source, markup);
+        }
+        logger.log(kleur.gray(`  • Unchanged:`), kleur.dim(`${path.relative(process.cwd(), outputSveltePath)} (from ${source.origin})`));
+    } else if (exists && !isOwnComponent) {
+        conflicts.push({ source, outputSveltePath, sourceHash });
+        logger.log(kleur.yellow(`  ⏳ Conflict detected:`), kleur.dim(`${path.relative(process.cwd(), outputSveltePath)} (from ${source.origin})`));
+    } else {
+        await generateComponent(source, outputSveltePath, sourceHash, exists);
+    }
+  }
+
+  // --- Check Recorded Aliases ---
+  // An alias holds while its sources are unchanged and its target still has the markup they shared; otherwise
+  // its sources become components again. Targets whose markup is unknown in this run (e.g. conflicts) keep it.
+  const nameHashesBeforeAliases = getNameMarkupHashes(sourcesToProcess, markupHashes);
+  for (const [alias, record] of Object.entries(manifest.aliases)) {
+    const recordSources = aliasSources.filter(({ source }) => source.baseName === alias);
+    const targetHash = nameHashesBeforeAliases.get(record.target);
+    const targetUnchanged = targetHash !== undefined && (targetHash === null || targetHash === record.markupHash);
+    if (targetUnchanged && isAliasRecordCurrent(record, recordSources, iconSet)) {
+      for (const { source, outputSveltePath } of recordSources) {
+        result.skipped.push({ ...describeSource(source, outputSveltePath), reason: "alias" });
+      }
+      logger.log(kleur.gray(`  • Alias:`), kleur.dim(`${alias} -> ${record.target}`));
+      continue;
+    }
+    delete manifest.aliases[alias];
+    for (const { source, outputSveltePath, sourceHash, exists } of recordSources) {
+      if (exists && !isEntryFromSource(manifest.icons[source.componentName], source, iconSet)) {
+        conflicts.push({ source, outputSveltePath, sourceHash });
+        logger.log(kleur.yellow(`  ⏳ Conflict detected:`), kleur.dim(`${path.relative(process.cwd(), outputSveltePath)} (from ${source.origin})`));
+      } else {
+        await generateComponent(source, outputSveltePath, sourceHash, exists);
+      }
+    }
+  }
+
+  // --- Handle Conflicts ---
+  if (conflicts.length > 0) {
+    logger.log(kleur.yellow(`\nFound ${conflicts.length} conflict(s) with existing files:`));
+    conflicts.forEach(conflict => {
+        logger.log(kleur.yellow(`  - ${conflict.source.componentName}.svelte`));
+    });
+
+    let overwriteConflicts = onConflict === "overwrite";
+    if (typeof onConflict === "function") {
+      overwriteConflicts = Boolean(await onConflict(conflicts));
+    }
+
+    if (overwriteConflicts) {
+      logger.log(kleur.magenta(`\nOverwriting conflicting files as requested...`));
+      for (const conflict of conflicts) {
+        const { source, outputSveltePath, sourceHash } = conflict;
+         if (processedComponentNamesInRun.has(source.componentName)) {
+            logger.warn(
+              kleur.yellow(
+                `  ⚠ Skipping overwrite for "${source.componentName}" as it was already generated from a non-conflicting source in this run.`
+              )
+            );
+            result.skipped.push({ ...describeSource(source, outputSveltePath), reason: "duplicate" });
+            continue;
+        }
+        try {
+          const { content, stats, markup, markupHash } = await renderIconComponent(source, svgoConfig, baseClass, svelteTarget, iconSet, logger);
+          await output.writeFile(outputSveltePath, content);
+          addPreview(source, markup);
+          manifest.icons[source.componentName] = createManifestEntry(source, sourceHash, fingerprints, iconSet, stats, markupHash);
+          sourceHashes.set(source.componentName, sourceHash);
+          markupHashes.set(source.componentName, markupHash);
+          result.stats.push(describeStats(source, stats));
+
+          result.generated.push({ ...describeSource(source, outputSveltePath), overwritten: true });
+          processedComponentNamesInRun.add(source.componentName);
+          logger.log(
+            kleur.green(`  ✔ Overwritten:`),
+            kleur.dim(`${path.relative(process.cwd(), outputSveltePath)} (from ${source.origin})`)
+          );
+        } catch (error) {
+          result.failed.push({ ...describeSource(source, outputSveltePath), error: error.message });
+          logger.error(kleur.red(`  ✖ Error overwriting ${source.origin}:`), error.message);
+        }
+      }
+    } else if (onConflict === "fail") {
+      for (const { source, outputSveltePath } of conflicts) {
+        result.failed.push({ ...describeSource(source, outputSveltePath), error: "Conflicts with an existing component" });
+      }
+      logger.error(kleur.red(`\n✖ ${conflicts.length} conflicting file(s) left untouched (--on-conflict fail).`));
+    } else {
+      for (const { source, outputSveltePath } of conflicts) {
+        result.skipped.push({ ...describeSource(source, outputSveltePath), reason: "conflict" });
+      }
+      logger.log(kleur.gray(`\nSkipped ${conflicts.length} conflicting file(s).`));
+    }
+  }
+
+  // --- Handle Duplicates ---
+  const duplicates = findDuplicateNames(getNameMarkupHashes(sourcesToProcess, markupHashes));
+  if (duplicates.length > 0) {
+    logger.log(kleur.yellow(`\nFound ${duplicates.length} icon(s) with the same markup as another icon:`));
+    duplicates.forEach((duplicate) => {
+      logger.log(kleur.yellow(`  - ${duplicate.name} (same as ${duplicate.target})`));
+    });
+
+    let aliasDuplicates = onDuplicate === "alias";
+    if (typeof onDuplicate === "function") {
+      aliasDuplicates = Boolean(await onDuplicate(duplicates));
+    }
+
+    if (aliasDuplicates) {
+      logger.log(kleur.magenta(`\nTurning duplicates into aliases...`));
+      for (const duplicate of duplicates) {
+        const nameSources = sourcesToProcess.filter((source) => source.baseName === duplicate.name);
+        const componentNames = new Set(nameSources.map((source) => source.componentName));
+        try {
+          for (const source of nameSources) {
+            await output.remove(path.join(iconsComponentDir, `${source.componentName}.svelte`));
+            delete manifest.icons[source.componentName];
+            previews.delete(source.componentName);
+          }
+        } catch (error) {
+          logger.error(kleur.red(`  ✖ Error removing the components of ${duplicate.name}:`), error.message);
+          continue;
+        }
+        manifest.aliases[duplicate.name] = createAliasRecord(
+          duplicate.target,
+          duplicate.markupHash,
+          nameSources.map((source) => ({ source, sourceHash: sourceHashes.get(source.componentName) })),
+          iconSet
+        );
+        result.generated = result.generated.filter((icon) => !componentNames.has(icon.componentName));
+        result.skipped = result.skipped.filter((icon) => !componentNames.has(icon.componentName));
+        result.stats = result.stats.filter((icon) => !componentNames.has(icon.componentName));
+        result.aliased.push({
+          baseName: duplicate.name,
+          target: duplicate.target,
+          origins: nameSources.map((source) => source.origin),
+        });
+        const removedFiles = [...componentNames].map((componentName) => `${componentName}.svelte`).join(", ");
+        logger.log(kleur.green(`  ✔ Aliased:`), kleur.dim(`${duplicate.name} -> ${duplicate.target} (removed ${removedFiles})`));
+      }
+    } else {
+      logger.log(kleur.gray(`\nKept ${duplicates.length} duplicate(s) as separate components. Run with --on-duplicate alias to turn them into aliases.`));
+    }
+  }
+
+  // --- Prune Components Whose Source Is Gone ---
+  const staleEntries = await findStaleEntries(manifest, sourcesToProcess, iconSet);
+  if (staleEntries.length > 0 && iconSet.prune) {
+    logger.log(kleur.magenta(`\nPruning ${staleEntries.length} component(s) whose source no longer exists...`));
+    for (const entry of staleEntries) {
+      const componentPath = path.join(outputDir, entry.file);
+      try {
+        await output.remove(componentPath);
+        delete manifest.icons[entry.componentName];
+        result.pruned.push({ componentName: entry.componentName, origin: entry.origin, file: componentPath });
+        logger.log(kleur.yellow(`  🗑 Pruned:`), kleur.dim(`${path.relative(process.cwd(), componentPath)} (source ${entry.origin})`));
+      } catch (error) {
+        logger.error(kleur.red(`  ✖ Error pruning ${componentPath}:`), error.message);
+      }
+    }
+  } else if (staleEntries.length > 0) {
+    logger.log(
+      kleur.gray(`\n${staleEntries.length} component(s) no longer have a source. Run with --prune to delete them.`)
+    );
+  }
+  await saveManifest(iconSet, manifest, logger, output);
+  logger.log(
+    kleur.green(`  ✔ Updated manifest:`),
+    kleur.dim(path.relative(process.cwd(), path.join(outputDir, MANIFEST_FILE_NAME)))
+  );
+
+  // --- Report Summary ---
+  const totalProcessed = sourcesToProcess.length;
+  const unchangedCount = result.skipped.filter((icon) => icon.reason === "unchanged").length;
+  const aliasSkippedCount = result.skipped.filter((icon) => icon.reason === "alias").length;
+  logger.log(
+    kleur.cyan(`\nProcessing Summary:`),
+    kleur.green(`${result.generated.length} generated/overwritten`),
+    kleur.gray(`${unchangedCount} unchanged`),
+    kleur.red(`${result.failed.length} failed`),
+    kleur.gray(`${result.skipped.length - unchangedCount - aliasSkippedCount} skipped (due to conflict)`),
+    kleur.gray(`${aliasSkippedCount + result.aliased.flatMap((alias) => alias.origins).length} aliased`),
+    kleur.yellow(`${result.pruned.length} pruned`),
+    kleur.dim(`(out of ${totalProcessed} sources)`)
+  );
+  reportSizes(result, iconSet, logger);
+  const componentsExist = (await output.readdir(iconsComponentDir)).some(f => f.toLowerCase().endsWith('.svelte'));
+  if (!componentsExist) {
+      logger.warn(
+        kleur.yellow(
+          "\nNo Svelte components found in the components directory after processing. Skipping loader and type generation."
+        )
+      );
+      logger.log(kleur.bold().yellow("\nGeneration finished, but no components to aggregate. ✨\n"));
+      return result;
+  }
+  logger.log(kleur.magenta(`\nGenerating aggregate files (${iconSet.typeName}.ts, ${iconSet.loaderName}.svelte)...`));
+  const finalComponentIcons = assignComponentVariants(
+    await getCurrentIconsFromComponents(iconsComponentDir, logger, output),
+    iconSet,
+    manifest
+  );
+  if (finalComponentIcons.length === 0) {
+       logger.warn(
+        kleur.yellow("No components found after scanning the directory. Skipping loader and types generation.")
+      );
+      return result;
+  }
+  logger.log(
+    kleur.cyan(
+      `  Generating aggregate files based on ${finalComponentIcons.length} final ${
+        finalComponentIcons.length === 1 ? "component" : "components"
+      } in the directory.`
+    )
+  );
+  await writeAggregateFiles(finalComponentIcons, iconSet, svelteTarget, "Updated", logger, output);
+  await writePreviewFiles(previews, iconSet, logger, output);
+  result.icons = finalComponentIcons;
+  // --- Final Success Message ---
+  logger.log(kleur.bold().green("\n✨ Generation complete! ✨\n"));
+  return result;
+}
@@ -0,0 +1,162 @@
+// src/iconify.js
+// Reading and writing Iconify JSON collections (https://iconify.design/docs/types/iconify-json.html)
+
+export const ICONIFY_FILE_NAME = "iconify.json";
+// Dimensions and transformations of an icon when neither the icon nor the collection sets them
+const ICONIFY_DEFAULTS = { left: 0, top: 0, width: 16, height: 16, rotate: 0, hFlip: false, vFlip: false };
+// Aliases may point at other aliases; deeper chains are treated as broken
+const MAX_ALIAS_DEPTH = 10;
+
+// A collection input is a .json file or URL, optionally followed by "#" and the icon names to take from it
+// ("mdi.json#home,account-*"; "*" matches any characters)
+export function parseIconifyInput(input) {
+  const hashIndex = input.lastIndexOf("#");
+  const location = hashIndex === -1 ? input : input.slice(0, hashIndex);
+  const filter = hashIndex === -1 ? [] : input.slice(hashIndex + 1).split(",").map((name) => name.trim()).filter(Boolean);
+  return { location, filter };
+}
+export function isIconifyInput(input) {
+  return /\.json$/i.test(parseIconifyInput(input).location);
+}
+function isIconifyCollection(collection) {
+  return Boolean(collection) && typeof collection === "object" && typeof collection.icons === "object";
+}
+// Icon data with the collection defaults applied. Aliases inherit from their parent, their own
+// properties win, and rotations and flips add up.
+function resolveIconData(collection, name, depth = 0) {
+  if (depth > MAX_ALIAS_DEPTH) return null;
+  const icon = collection.icons[name];
+  if (icon) {
+    const defaults = { ...ICONIFY_DEFAULTS };
+    for (const key of ["left", "top", "width", "height"]) {
+      if (collection[key] !== undefined) defaults[key] = collection[key];
+    }
+    return { ...defaults, ...icon };
+  }
+  const alias = collection.aliases?.[name];
+  const parent = alias && resolveIconData(collection, alias.parent, depth + 1);
+  if (!parent) return null;
+  return {
+    ...parent,
+    ...alias,
+    rotate: ((parent.rotate || 0) + (alias.rotate || 0)) % 4,
+    hFlip: Boolean(parent.hFlip) !== Boolean(alias.hFlip),
+    vFlip: Boolean(parent.vFlip) !== Boolean(alias.vFlip),
+  };
+}
+// Renders resolved icon data as a standalone SVG, turning flips and rotations into a transform
+function iconDataToSvg(data) {
+  const box = { left: data.left, top: data.top, width: data.width, height: data.height };
+  const transforms = [];
+  let rotation = data.rotate;
+  if (data.hFlip && data.vFlip) {
+    rotation += 2;
+  } else if (data.hFlip) {
+    transforms.push(`translate(${box.width + box.left} ${-box.top})`, "scale(-1 1)");
+    box.left = box.top = 0;
+  } else if (data.vFlip) {
+    transforms.push(`translate(${-box.left} ${box.height + box.top})`, "scale(1 -1)");
+    box.left = box.top = 0;
+  }
+  rotation = ((rotation % 4) + 4) % 4;
+  if (rotation === 1) {
+    const center = box.height / 2 + box.top;
+    transforms.unshift(`rotate(90 ${center} ${center})`);
+  } else if (rotation === 2) {
+    transforms.unshift(`rotate(180 ${box.width / 2 + box.left} ${box.height / 2 + box.top})`);
+  } else if (rotation === 3) {
+    const center = box.width / 2 + box.left;
+    transforms.unshift(`rotate(-90 ${center} ${center})`);
+  }
+  if (rotation % 2 === 1) {
+    [box.left, box.top] = [box.top, box.left];
+    [box.width, box.height] = [box.height, box.width];
+  }
+  const body = transforms.length > 0 ? `<g transform="${transforms.join(" ")}">${data.body}</g>` : data.body;
+  const viewBox = `${box.left} ${box.top} ${box.width} ${box.height}`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${box.width}" height="${box.height}" viewBox="${viewBox}">${body}</svg>`;
+}
+function matchesFilter(name, filter) {
+  return filter.some((pattern) =>
+    new RegExp(`^${pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`).test(name)
+  );
+}
+// Expands a parsed collection into { name, svg } entries: every icon and alias (hidden ones only when
+// the filter names them), or those matching `filter`. `missing` lists filter names the collection lacks.
+export function expandIconifyCollection(collection, filter = []) {
+  if (!isIconifyCollection(collection)) {
+    throw new Error('Not an Iconify JSON collection (no "icons" object).');
+  }
+  const names = [...Object.keys(collection.icons), ...Object.keys(collection.aliases || {})];
+  const selected = names.filter((name) => {
+    if (filter.length > 0) return matchesFilter(name, filter);
+    return !resolveIconData(collection, name)?.hidden;
+  });
+  const icons = [];
+  for (const name of selected) {
+    const data = resolveIconData(collection, name);
+    if (data) icons.push({ name, svg: iconDataToSvg(data) });
+  }
+  const missing = filter.filter((pattern) => !pattern.includes("*") && !names.includes(pattern));
+  return { prefix: collection.prefix || null, icons, missing };
+}
+
+// --- Export ---
+// Attributes of the root <svg> that belong to the icon box (or its accessibility) rather than its content
+const ROOT_ONLY_ATTRIBUTES = new Set([
+  "xmlns",
+  "xmlns:xlink",
+  "width",
+  "height",
+  "viewBox",
+  "class",
+  "style",
+  "role",
+  "aria-hidden",
+  "focusable",
+]);
+// Splits final icon markup into Iconify icon data. Presentation attributes of the root element (e.g. the
+// outline preset's stroke) move to a wrapping <g>, since an Iconify body has no root element.
+function svgToIconData(svg) {
+  const match = svg.trim().match(/^<svg\b([^>]*)>([\s\S]*)<\/svg>$/);
+  if (!match) return null;
+  const attributes = Object.fromEntries([...match[1].matchAll(/([\w:-]+)="([^"]*)"/g)].map(([, name, value]) => [name, value]));
+  const [left, top, width, height] = (attributes.viewBox || `0 0 ${attributes.width || 16} ${attributes.height || 16}`)
+    .trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  const groupAttributes = Object.entries(attributes)
+    .filter(([name]) => !ROOT_ONLY_ATTRIBUTES.has(name))
+    .map(([name, value]) => ` ${name}="${value}"`)
+    .join("");
+  const body = groupAttributes ? `<g${groupAttributes}>${match[2]}</g>` : match[2];
+  return { body, left, top, width, height };
+}
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+// Builds an Iconify JSON collection from `icons` ({ name, markup }). The most common dimensions become the
+// collection defaults; icons only list the dimensions that differ from them.
+export function createIconifyCollection(icons, prefix) {
+  const entries = icons
+    .map((icon) => [icon.name, svgToIconData(icon.markup)])
+    .filter(([, data]) => data)
+    .sort(([a], [b]) => a.localeCompare(b));
+  const collection = { prefix };
+  const defaults = {};
+  for (const key of ["left", "top", "width", "height"]) {
+    defaults[key] = mostCommon(entries.map(([, data]) => data[key])) ?? ICONIFY_DEFAULTS[key];
+    if (defaults[key] !== ICONIFY_DEFAULTS[key]) collection[key] = defaults[key];
+  }
+  collection.icons = {};
+  for (const [name, data] of entries) {
+    const icon = { body: data.body };
+    for (const key of ["left", "top", "width", "height"]) {
+      if (data[key] !== defaults[key]) icon[key] = data[key];
+    }
+    collection.icons[name] = icon;
+  }
+  return collection;
+}
@@ -0,0 +1,57 @@
+// src/ids.js
+import { optimize } from "svgo";
+
+// Attributes holding a space-separated list of id references
+const ID_LIST_ATTRIBUTES = new Set(["aria-labelledby", "aria-describedby", "aria-controls", "aria-owns"]);
+const HREF_ATTRIBUTES = new Set(["href", "xlink:href"]);
+
+function visitElements(svg, enter) {
+  return optimize(svg, {
+    plugins: [{ name: "svelteSvgGenIds", fn: () => ({ element: { enter } }) }],
+  }).data;
+}
+// Renames every id defined in the SVG through `rename(id)`, together with its references: url(#…) in
+// attributes and <style> elements, href="#…"/xlink:href="#…", and aria id lists. References to ids the
+// SVG does not define are left alone.
+export function rewriteIds(svg, rename) {
+  const ids = new Set();
+  visitElements(svg, (node) => {
+    if (node.attributes.id) ids.add(node.attributes.id);
+  });
+  if (ids.size === 0) {
+    return { svg, ids: [] };
+  }
+  const renameReference = (id) => (ids.has(id) ? rename(id) : id);
+  const rewriteUrls = (value) =>
+    value.replace(/url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g, (match, quote, id) =>
+      ids.has(id) ? `url(${quote}#${rename(id)}${quote})` : match
+    );
+  const rewrittenSvg = visitElements(svg, (node) => {
+    for (const [name, value] of Object.entries(node.attributes)) {
+      if (name === "id") {
+        node.attributes[name] = rename(value);
+      } else if (HREF_ATTRIBUTES.has(name) && value.startsWith("#")) {
+        node.attributes[name] = `#${renameReference(value.slice(1))}`;
+      } else if (ID_LIST_ATTRIBUTES.has(name)) {
+        node.attributes[name] = value.trim().split(/\s+/).map(renameReference).join(" ");
+      } else if (value.includes("url(")) {
+        node.attributes[name] = rewriteUrls(value);
+      }
+    }
+    if (node.name === "style") {
+      for (const child of node.children) {
+        if (child.type === "text" || child.type === "cdata") child.value = rewriteUrls(child.value);
+      }
+    }
+  });
+  return { svg: rewrittenSvg, ids: [...ids] };
+}
+// Id prefix of one component, unique within the set since every variant of an icon is a component of
+// its own: "svg-icon-HomeSolid". Build-time ids become "svg-icon-HomeSolid--a"; at runtime the instance
+// id ("svg-icon-HomeSolid-s2") takes its place, in those ids and in the <title>/<desc> ids alike.
+export function getIconIdPrefix(componentName) {
+  return `svg-icon-${componentName}`;
+}
+export function prefixIds(svg, prefix) {
+  return rewriteIds(svg, (id) => `${prefix}--${id}`).svg;
+}
@@ -0,0 +1,155 @@
+// src/index.js
+// Programmatic API. Unlike the CLI, these functions never prompt, never exit the process and
+// stay silent unless a `logger` (an object with log/warn/error, e.g. `console`) is passed.
+import { resolveGenerationTargets } from "./config.js";
+import { resolveInputSources } from "./sources.js";
+import { generateIconSet, regenerateFilesFromComponents } from "./generator.js";
+import { createOutputWriter } from "./output.js";
+import { compareWithDisk } from "./check.js";
+import { lintIconSet } from "./lint.js";
+
+export const silentLogger = { log() {}, warn() {}, error() {} };
+
+/**
+ * Generates icon components, the type file and the loader for one icon set (when `input` is given)
+ * or for the sets of the project config.
+ *
+ * @param {object} [options] Icon set options (`input`, `output`, `svgoConfig`, `baseClass`, `loaderName`,
+ *   `typeName`, `componentsDir`, `clean`, `prune`, `svelte`), or `config`/`set` to use the project config.
+ * @param {string} [options.cwd] Directory relative paths are resolved from. Defaults to `process.cwd()`.
+ * @param {"overwrite" | "skip" | "fail" | ((conflicts: object[]) => boolean | Promise<boolean>)} [options.onConflict]
+ *   What to do with components that already exist. Defaults to "skip"; "fail" reports them in `failed`.
+ * @param {"keep" | "alias" | ((duplicates: { name: string, target: string }[]) => boolean | Promise<boolean>)} [options.onDuplicate]
+ *   What to do with icons whose optimized markup is identical to another icon's. Defaults to "keep"; "alias"
+ *   removes their components and makes their names aliases of the other icon (listed in `aliased`).
+ * @param {boolean} [options.dryRun] Plan the changes without writing or deleting anything; see `planned`.
+ * @param {boolean} [options.rebuild] Also re-render icons that the manifest considers unchanged.
+ * @param {number} [options.maxIconBytes] Size budget of a generated icon; exceeding icons are listed in `overBudget`.
+ * @param {number} [options.maxTotalBytes] Size budget of all generated icons of a set.
+ * @param {(name: string, info: { origin: string, path: string | null, folders: string[], variant: string | null }) => string} [options.rename]
+ *   Renames icons; `componentPrefix`, `componentSuffix` and `namespace` also shape the component names.
+ * @param {Record<string, string>} [options.aliases] Extra names for existing icons, e.g. `{ "trash": "delete" }`.
+ * @param {string[] | Record<string, string>} [options.deprecated] Deprecated names, optionally with a message.
+ * @param {boolean | string} [options.metadata] Write `iconMeta.ts` from sidecar `.json` files and, when a path is
+ *   given, a central JSON/YAML metadata file.
+ * @param {{ log: Function, warn: Function, error: Function }} [options.logger]
+ * @returns {Promise<{ sets: object[], generated: object[], skipped: object[], failed: object[], pruned: object[],
+ *   aliased: { baseName: string, target: string, origins: string[] }[],
+ *   overBudget: { componentName: string | null, bytes: number, budget: number, message: string }[],
+ *   planned: { action: "write" | "delete", file: string, content?: string }[] }>} Each set also lists the
+ *   `stats` of its icons (sourceBytes, optimizedBytes, outputBytes, gzipBytes, paths).
+ */
+export async function generateIcons(options = {}) {
+  return runGeneration(options, false);
+}
+
+// Shared by generateIcons and checkIcons. `check` makes sets whose inputs resolve to no SVG still run, so the
+// components left over from deleted sources are reported, and fail: an empty input would otherwise pass with
+// stale files on disk
+async function runGeneration(options, check) {
+  const {
+    logger = silentLogger,
+    onConflict = "skip",
+    onDuplicate = "keep",
+    dryRun = false,
+    rebuild = false,
+    ...targetOptions
+  } = options;
+  const targets = await resolveGenerationTargets(targetOptions, logger);
+  const output = createOutputWriter({ dryRun });
+  const sets = [];
+  for (const { iconSet, svelteTarget } of targets) {
+    const inputFailures = [];
+    const sources = await resolveInputSources(iconSet.input, logger, inputFailures);
+    let result = { generated: [], skipped: [], failed: [], pruned: [], aliased: [], icons: [], stats: [], overBudget: [] };
+    if (check && sources.length === 0) {
+      inputFailures.push({ origin: iconSet.input.join(", "), error: "No SVG sources found" });
+    }
+    if (sources.length > 0 || check) {
+      result = await generateIconSet(sources, iconSet, svelteTarget, `Files/URLs: ${iconSet.input.join(", ")}`, {
+        onConflict,
+        onDuplicate,
+        logger,
+        output,
+        rebuild,
+      });
+    }
+    sets.push({ name: iconSet.name, outputDir: iconSet.output, ...result, failed: [...inputFailures, ...result.failed] });
+  }
+  return {
+    planned: output.planned,
+    sets,
+    generated: sets.flatMap((set) => set.generated),
+    skipped: sets.flatMap((set) => set.skipped),
+    failed: sets.flatMap((set) => set.failed),
+    pruned: sets.flatMap((set) => set.pruned),
+    aliased: sets.flatMap((set) => set.aliased),
+    overBudget: sets.flatMap((set) => set.overBudget),
+  };
+}
+
+/**
+ * Runs the whole generation in memory and compares the result with the files on disk, without writing
+ * anything. Components whose source is gone count as removed.
+ *
+ * @param {object} [options] Same options as `generateIcons`.
+ * @returns {Promise<{ upToDate: boolean, differences: { status: "added" | "removed" | "changed", file: string,
+ *   added?: number, removed?: number }[], failed: object[] }>}
+ */
+export async function checkIcons(options = {}) {
+  const result = await runGeneration({ ...options, prune: true, onConflict: "overwrite", dryRun: true, rebuild: true }, true);
+  const differences = await compareWithDisk(result.planned);
+  return { upToDate: differences.length === 0 && result.failed.length === 0, differences, failed: result.failed };
+}
+
+/**
+ * Lints the SVG sources of one icon set (when `input` is given) or of the sets of the project config,
+ * without generating anything. Rule severities come from each set's `lint` option.
+ *
+ * @param {object} [options] Same options as `generateIcons`, plus `lint` (rule name -> "off" | "warn" | "error",
+ *   or [severity, options]).
+ * @returns {Promise<{ passed: boolean, errorCount: number, warningCount: number, failed: object[],
+ *   sets: { name: string | null, icons: { baseName: string, componentName: string, origin: string,
+ *   findings: { rule: string, severity: "warn" | "error", message: string }[] }[] }[] }>}
+ */
+export async function lintIcons(options = {}) {
+  const { logger = silentLogger, ...targetOptions } = options;
+  const targets = await resolveGenerationTargets(targetOptions, logger);
+  const sets = [];
+  const failed = [];
+  for (const { iconSet } of targets) {
+    const sources = await resolveInputSources(iconSet.input, logger, failed);
+    sets.push(await lintIconSet(sources, iconSet, logger));
+  }
+  const errorCount = sets.reduce((sum, set) => sum + set.errorCount, 0);
+  const warningCount = sets.reduce((sum, set) => sum + set.warningCount, 0);
+  return { passed: errorCount === 0 && failed.length === 0, errorCount, warningCount, failed, sets };
+}
+
+/**
+ * Rewrites the type file and the loader from the components already present in the output directory.
+ *
+ * @param {object} [options] `output` (and the other icon set options) for a single set, or `config`/`set`
+ *   to use the project config. `dryRun` plans the changes without writing them.
+ * @returns {Promise<{ sets: { name: string | null, outputDir: string, icons: object[] }[], planned: object[] }>}
+ */
+export async function regenerateIcons(options = {}) {
+  const { logger = silentLogger, dryRun = false, ...targetOptions } = options;
+  const output = createOutputWriter({ dryRun });
+  // An explicit output directory describes a single inline set, which needs no inputs here
+  const isInlineSet = targetOptions.output && !targetOptions.config && !targetOptions.set;
+  const targets = await resolveGenerationTargets(isInlineSet ? { ...targetOptions, input: [] } : targetOptions, logger);
+  const sets = [];
+  for (const { iconSet, svelteTarget } of targets) {
+    const icons = await regenerateFilesFromComponents(iconSet, svelteTarget, logger, output);
+    sets.push({ name: iconSet.name, outputDir: iconSet.output, icons });
+  }
+  return { sets, planned: output.planned };
+}
+
+export { loadProjectConfig, loadSvgoConfiguration, resolveSvelteTarget } from "./config.js";
+export { resolveInputSources, sanitizeName } from "./sources.js";
+export { LINT_RULES } from "./lint.js";
+export { processSvgSource } from "./generator.js";
+export { watchIconSet } from "./watch.js";
+export { svelteSvgGen } from "./vite.js";
@@ -0,0 +1,155 @@
+// src/lint.js
+import { optimize } from "svgo";
+import { loadSvgoConfiguration } from "./config.js";
+import { optimizeSvgSource } from "./generator.js";
+import { readSvgSource } from "./sources.js";
+import { applyColorMode, getHardCodedColors } from "./colors.js";
+import { normalizeStrokeColors } from "./presets.js";
+import { sanitizeSvg } from "./sanitize.js";
+import { formatBytes } from "./stats.js";
+import { applyNaming } from "./naming.js";
+
+export const LINT_SEVERITIES = ["off", "warn", "error"];
+// Default severity (and options) of every rule. Configure them under `lint` in the project config, e.g.
+// { "non-square-viewbox": "error", "byte-budget": ["warn", { optimized: 2048 }] }.
+export const LINT_RULES = {
+  "invalid-svg": { severity: "error" },
+  "missing-viewbox": { severity: "warn" },
+  "non-square-viewbox": { severity: "warn" },
+  "embedded-raster": { severity: "error" },
+  "text-elements": { severity: "warn" },
+  "hard-coded-colors": { severity: "off" },
+  "unsafe-content": { severity: "error" },
+  "byte-budget": { severity: "warn", options: { source: 20480, optimized: 5120 } },
+  "path-nodes": { severity: "warn", options: { max: 500 } },
+};
+const TEXT_ELEMENTS = new Set(["text", "tspan", "textPath"]);
+const RASTER_ELEMENTS = new Set(["image", "feImage"]);
+const BASE64_DATA_URL = /data:[^,;]*;base64,/gi;
+
+// Merges the configured rules over the defaults. Icons of a set that expects currentColor
+// (`colors: "current"`) get hard-coded color warnings unless the rule is configured explicitly.
+export function resolveLintRules(ruleConfig = {}, iconSet = {}) {
+  const rules = {};
+  for (const [name, rule] of Object.entries(LINT_RULES)) {
+    const severity = name === "hard-coded-colors" && iconSet.colors === "current" ? "warn" : rule.severity;
+    rules[name] = { severity, options: { ...rule.options } };
+  }
+  for (const [name, value] of Object.entries(ruleConfig)) {
+    if (!rules[name]) {
+      throw new Error(`Unknown lint rule "${name}". Available rules: ${Object.keys(LINT_RULES).join(", ")}.`);
+    }
+    const [severity, options] = Array.isArray(value) ? value : [value];
+    if (!LINT_SEVERITIES.includes(severity)) {
+      throw new Error(
+        `Invalid severity "${severity}" for lint rule "${name}". Expected one of: ${LINT_SEVERITIES.join(", ")}.`
+      );
+    }
+    rules[name] = { severity, options: { ...rules[name].options, ...options } };
+  }
+  return rules;
+}
+// Collects what the rules look at from the optimized markup
+function analyzeSvg(svg) {
+  const analysis = { viewBox: null, elements: new Set(), pathNodes: 0, base64DataUrls: 0 };
+  optimize(svg, {
+    plugins: [
+      {
+        name: "svelteSvgGenLint",
+        fn: () => ({
+          element: {
+            enter: (node, parentNode) => {
+              if (parentNode.type === "root") analysis.viewBox = node.attributes.viewBox || null;
+              analysis.elements.add(node.name);
+              if (node.name === "path") {
+                analysis.pathNodes += (node.attributes.d || "").match(/[a-df-z]/gi)?.length || 0;
+              } else if (node.name === "polyline" || node.name === "polygon") {
+                analysis.pathNodes += Math.floor(((node.attributes.points || "").match(/[-+.\d]+/g)?.length || 0) / 2);
+              }
+              for (const value of Object.values(node.attributes)) {
+                analysis.base64DataUrls += value.match(BASE64_DATA_URL)?.length || 0;
+              }
+            },
+          },
+        }),
+      },
+    ],
+  });
+  return analysis;
+}
+
+// Checks a single source against the resolved rules. Returns its findings ({ rule, severity, message }).
+export async function lintSvgSource(source, svgoConfig, iconSet, rules) {
+  const findings = [];
+  const report = (rule, message) => {
+    if (rules[rule].severity !== "off") findings.push({ rule, severity: rules[rule].severity, message });
+  };
+  let content;
+  let optimizedSvg;
+  try {
+    content = await readSvgSource(source);
+    optimizedSvg = await optimizeSvgSource(source, svgoConfig);
+  } catch (error) {
+    report("invalid-svg", error.message);
+    return findings;
+  }
+  const analysis = analyzeSvg(optimizedSvg);
+  // A normalized viewBox replaces whatever the source had
+  if (!iconSet.normalizeViewBox) {
+    if (!analysis.viewBox) {
+      report("missing-viewbox", "No viewBox: the icon cannot be scaled.");
+    } else {
+      const [, , width, height] = analysis.viewBox.trim().split(/[\s,]+/).map(Number);
+      if (width !== height) report("non-square-viewbox", `viewBox "${analysis.viewBox}" is not square.`);
+    }
+  }
+  const rasterElements = [...analysis.elements].filter((name) => RASTER_ELEMENTS.has(name));
+  if (rasterElements.length > 0) {
+    report("embedded-raster", `Embeds raster images (${rasterElements.map((name) => `<${name}>`).join(", ")}).`);
+  } else if (analysis.base64DataUrls > 0) {
+    report("embedded-raster", `Contains ${analysis.base64DataUrls} base64 data URL(s).`);
+  }
+  const textElements = [...analysis.elements].filter((name) => TEXT_ELEMENTS.has(name));
+  if (textElements.length > 0) {
+    report(
+      "text-elements",
+      `Uses ${textElements.map((name) => `<${name}>`).join(", ")}; text depends on the fonts available in the browser.`
+    );
+  }
+  const { removed } = sanitizeSvg(optimizedSvg);
+  if (removed.length > 0) {
+    report("unsafe-content", `Contains unsafe content: ${removed.join(", ")}.`);
+  }
+  const outlinedSvg = iconSet.preset === "outline" ? normalizeStrokeColors(optimizedSvg) : optimizedSvg;
+  const colors = getHardCodedColors(applyColorMode(outlinedSvg, iconSet.colors).svg);
+  if (colors.length > 0) {
+    report("hard-coded-colors", `Hard-coded colors: ${colors.join(", ")}.`);
+  }
+  const budget = rules["byte-budget"].options;
+  const sourceBytes = Buffer.byteLength(content);
+  const optimizedBytes = Buffer.byteLength(optimizedSvg);
+  if (budget.source && sourceBytes > budget.source) {
+    report("byte-budget", `Source is ${formatBytes(sourceBytes)} (budget ${formatBytes(budget.source)}).`);
+  }
+  if (budget.optimized && optimizedBytes > budget.optimized) {
+    report("byte-budget", `Optimized markup is ${formatBytes(optimizedBytes)} (budget ${formatBytes(budget.optimized)}).`);
+  }
+  const maxPathNodes = rules["path-nodes"].options.max;
+  if (maxPathNodes && analysis.pathNodes > maxPathNodes) {
+    report("path-nodes", `${analysis.pathNodes} path nodes (max ${maxPathNodes}).`);
+  }
+  return findings;
+}
+// Lints the resolved sources of one icon set with the rules from its `lint` option
+export async function lintIconSet(sources, iconSet, logger = console) {
+  const rules = resolveLintRules(iconSet.lint, iconSet);
+  const svgoConfig = await loadSvgoConfiguration(iconSet.svgoConfig, logger, iconSet.preset);
+  const result = { name: iconSet.name, icons: [], errorCount: 0, warningCount: 0 };
+  for (const source of applyNaming(sources, iconSet)) {
+    const findings = await lintSvgSource(source, svgoConfig, iconSet, rules);
+    result.icons.push({ baseName: source.baseName, componentName: source.componentName, origin: source.origin, findings });
+    result.errorCount += findings.filter((finding) => finding.severity === "error").length;
+    result.warningCount += findings.filter((finding) => finding.severity === "warn").length;
+  }
+  return result;
+}
@@ -0,0 +1,199 @@
+// src/manifest.js
+import fs from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+import kleur from "kleur";
+import { SCRIPT_NAME, isUrl } from "./config.js";
+import { diskWriter } from "./output.js";
+import { parseIconifyInput } from "./iconify.js";
+import { getSpriteSheetSymbolIds } from "./sheets.js";
+
+export const MANIFEST_FILE_NAME = "svg-icons.manifest.json";
+const MANIFEST_VERSION = 1;
+// Bump whenever the generated component markup changes, so existing components are regenerated
+export const TEMPLATE_VERSION = 9;
+
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+// Custom SVGO plugins may carry functions, which JSON.stringify would silently drop
+function stableStringify(value) {
+  return JSON.stringify(value, (key, nested) => (typeof nested === "function" ? nested.toString() : nested));
+}
+export function hashSvgoConfig(svgoConfig) {
+  return hash(stableStringify(svgoConfig));
+}
+// Everything besides the source and SVGO config that shapes a component's output
+export function getTemplateFingerprint(iconSet, svelteTarget) {
+  const options = {
+    baseClass: iconSet.baseClass,
+    runes: svelteTarget.runes,
+    colors: iconSet.colors,
+    preset: iconSet.preset,
+    nonScalingStroke: iconSet.nonScalingStroke,
+    normalizeViewBox: iconSet.normalizeViewBox,
+    viewBoxPadding: iconSet.viewBoxPadding,
+    unsafe: iconSet.unsafe,
+  };
+  return `${TEMPLATE_VERSION}:${hash(stableStringify(options)).slice(0, 12)}`;
+}
+export function hashSourceContent(content) {
+  return hash(content);
+}
+function getManifestPath(iconSet) {
+  return path.join(iconSet.output, MANIFEST_FILE_NAME);
+}
+function toRelativeOrigin(filePath, outputDir) {
+  return path.relative(outputDir, path.resolve(filePath)).split(path.sep).join("/");
+}
+// File origins (and local Iconify collections) are stored relative to the output directory, so the
+// manifest does not depend on the cwd. Iconify origins are "<collection>#<icon name>", sprite sheet
+// symbols "<file>#<symbol id>".
+function toManifestOrigin(source, outputDir) {
+  if (source.type === "symbol") return `${toRelativeOrigin(source.path, outputDir)}#${source.symbolId}`;
+  if (source.type === "iconify") {
+    const collection = isUrl(source.collection) ? source.collection : toRelativeOrigin(source.collection, outputDir);
+    return `${collection}#${source.iconName}`;
+  }
+  if (source.type !== "file") return source.origin;
+  return toRelativeOrigin(source.path, outputDir);
+}
+// Whether an Iconify collection listed in the inputs (or, for local files, still on disk) has the icon
+async function iconifyEntryExists(entry, iconSet) {
+  const hashIndex = entry.origin.lastIndexOf("#");
+  const collection = entry.origin.slice(0, hashIndex);
+  if (isUrl(collection)) {
+    return iconSet.input.some((input) => parseIconifyInput(input).location === collection);
+  }
+  try {
+    const { icons, aliases } = await fs.readJson(path.resolve(iconSet.output, collection));
+    const name = entry.origin.slice(hashIndex + 1);
+    return Boolean(icons?.[name] || aliases?.[name]);
+  } catch {
+    return false;
+  }
+}
+// Read through `output` so that a dry run sees the manifest it planned
+export async function loadManifest(iconSet, logger = console, output = diskWriter) {
+  const manifestPath = getManifestPath(iconSet);
+  const emptyManifest = { icons: {}, aliases: {} };
+  if (!(await output.pathExists(manifestPath))) {
+    return emptyManifest;
+  }
+  try {
+    const manifest = JSON.parse(await output.readFile(manifestPath));
+    if (manifest.version !== MANIFEST_VERSION || typeof manifest.icons !== "object") {
+      logger.warn(kleur.yellow(`⚠ Ignoring ${MANIFEST_FILE_NAME} written by an incompatible version.`));
+      return emptyManifest;
+    }
+    return { icons: manifest.icons, aliases: manifest.aliases || {} };
+  } catch (error) {
+    logger.warn(kleur.yellow(`⚠ Could not read ${manifestPath}, rebuilding it:`), error.message);
+    return emptyManifest;
+  }
+}
+export async function saveManifest(iconSet, manifest, logger = console, output = diskWriter) {
+  const manifestPath = getManifestPath(iconSet);
+  const icons = Object.fromEntries(
+    Object.entries(manifest.icons).sort(([a], [b]) => a.localeCompare(b))
+  );
+  const content = { version: MANIFEST_VERSION, generator: SCRIPT_NAME, icons };
+  if (Object.keys(manifest.aliases || {}).length > 0) {
+    content.aliases = Object.fromEntries(Object.entries(manifest.aliases).sort(([a], [b]) => a.localeCompare(b)));
+  }
+  try {
+    await output.writeFile(manifestPath, `${JSON.stringify(content, null, 2)}\n`);
+  } catch (error) {
+    logger.error(kleur.red(`✖ Error writing manifest ${manifestPath}:`), error.message);
+  }
+}
+// `markupHash` is the hash of the optimized markup, before it is made specific to the icon name (prefixed
+// ids), so that icons with identical artwork can be found
+export function createManifestEntry(source, sourceHash, fingerprints, iconSet, stats, markupHash) {
+  const entry = {
+    origin: toManifestOrigin(source, iconSet.output),
+    type: source.type,
+    sourceHash,
+    svgoConfigHash: fingerprints.svgoConfigHash,
+    templateVersion: fingerprints.templateVersion,
+    file: `${iconSet.componentsDir}/${source.componentName}.svelte`,
+    stats,
+    markupHash,
+  };
+  // With variants, the component name alone no longer tells the icon name and variant apart
+  if (source.variant) {
+    entry.name = source.baseName;
+    entry.variant = source.variant;
+  }
+  return entry;
+}
+// Absolute path of the SVG file an entry was generated from; null for other kinds of sources
+export function getEntrySourcePath(entry, iconSet) {
+  return entry?.type === "file" ? path.resolve(iconSet.output, entry.origin) : null;
+}
+// Whether the component recorded in `entry` was generated from `source` (possibly an older revision of it)
+export function isEntryFromSource(entry, source, iconSet) {
+  return Boolean(entry) && entry.origin === toManifestOrigin(source, iconSet.output);
+}
+// Entries written before size statistics and markup hashes were recorded are rebuilt once to collect them
+export function isEntryUpToDate(entry, sourceHash, fingerprints) {
+  return (
+    Boolean(entry.stats) &&
+    Boolean(entry.markupHash) &&
+    entry.sourceHash === sourceHash &&
+    entry.svgoConfigHash === fingerprints.svgoConfigHash &&
+    entry.templateVersion === fingerprints.templateVersion
+  );
+}
+// Duplicates turned into aliases are recorded by alias name, with the target, the markup hash they shared
+// with it and the sources they stand for ({ origin: sourceHash }); `sources` are { source, sourceHash }
+export function createAliasRecord(target, markupHash, sources, iconSet) {
+  return {
+    target,
+    markupHash,
+    sources: Object.fromEntries(
+      sources.map(({ source, sourceHash }) => [toManifestOrigin(source, iconSet.output), sourceHash])
+    ),
+  };
+}
+// Whether an alias still stands for exactly these sources ({ source, sourceHash }), none of them changed
+export function isAliasRecordCurrent(record, sources, iconSet) {
+  return (
+    sources.length === Object.keys(record.sources).length &&
+    sources.every(({ source, sourceHash }) => record.sources[toManifestOrigin(source, iconSet.output)] === sourceHash)
+  );
+}
+// Whether `source` is one of the unchanged sources of a recorded alias
+export function isAliasedSource(manifest, source, sourceHash, iconSet) {
+  return manifest.aliases[source.baseName]?.sources[toManifestOrigin(source, iconSet.output)] === sourceHash;
+}
+// Whether the sprite sheet of a symbol entry still has the symbol
+async function symbolEntryExists(entry, iconSet) {
+  const hashIndex = entry.origin.lastIndexOf("#");
+  try {
+    const content = await fs.readFile(path.resolve(iconSet.output, entry.origin.slice(0, hashIndex)), "utf-8");
+    return getSpriteSheetSymbolIds(content).includes(entry.origin.slice(hashIndex + 1));
+  } catch {
+    return false;
+  }
+}
+// Entries whose source is gone: deleted files, URLs no longer listed in the inputs, icons whose Iconify
+// collection is gone or no longer has them, and symbols removed from their sprite sheet.
+// Pasted SVGs cannot be re-provided, so they are never considered stale.
+export async function findStaleEntries(manifest, sources, iconSet) {
+  const currentComponentNames = new Set(sources.map((source) => source.componentName));
+  const listedUrls = new Set(iconSet.input.filter((input) => isUrl(input)));
+  const stale = [];
+  for (const [componentName, entry] of Object.entries(manifest.icons)) {
+    if (currentComponentNames.has(componentName) || entry.type === "direct") continue;
+    let sourceExists;
+    if (entry.type === "iconify") sourceExists = await iconifyEntryExists(entry, iconSet);
+    else if (entry.type === "symbol") sourceExists = await symbolEntryExists(entry, iconSet);
+    else if (entry.type === "url") sourceExists = listedUrls.has(entry.origin);
+    else sourceExists = await fs.pathExists(path.resolve(iconSet.output, entry.origin));
+    if (!sourceExists) {
+      stale.push({ componentName, ...entry });
+    }
+  }
+  return stale;
+}
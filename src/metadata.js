@@ -0,0 +1,98 @@
+// src/metadata.js
+// Icon metadata (tags, category, description, author, license) for icon pickers, read from a central
+// JSON/YAML file (the `metadata` option) and from sidecar files next to the SVGs (home.json for home.svg)
+import fs from "fs-extra";
+import path from "path";
+import kleur from "kleur";
+import YAML from "yaml";
+
+export const METADATA_FIELDS = ["tags", "category", "description", "author", "license"];
+
+async function readMetadataFile(filePath) {
+  const content = await fs.readFile(filePath, "utf-8");
+  return /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+}
+// Checks the metadata of one icon, dropping (and reporting) unknown fields and values of the wrong type.
+// Tags may also be given as a comma-separated string.
+function normalizeIconMetadata(value, label, logger) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    logger.warn(kleur.yellow(`  ⚠ Ignoring the metadata of ${label}: expected an object.`));
+    return {};
+  }
+  const meta = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (!METADATA_FIELDS.includes(field)) {
+      logger.warn(kleur.yellow(`  ⚠ Ignoring unknown metadata field "${field}" of ${label}. Known fields: ${METADATA_FIELDS.join(", ")}.`));
+      continue;
+    }
+    if (field === "tags") {
+      const tags = typeof fieldValue === "string" ? fieldValue.split(",") : fieldValue;
+      if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === "string")) {
+        logger.warn(kleur.yellow(`  ⚠ Ignoring the tags of ${label}: expected a list of strings.`));
+        continue;
+      }
+      meta.tags = [...new Set(tags.map((tag) => tag.trim()).filter(Boolean))];
+    } else if (typeof fieldValue === "string") {
+      meta[field] = fieldValue.trim();
+    } else {
+      logger.warn(kleur.yellow(`  ⚠ Ignoring the ${field} of ${label}: expected a string.`));
+    }
+  }
+  return meta;
+}
+// The central file maps icon names to their metadata
+async function readCentralMetadata(filePath, logger) {
+  const relativePath = path.relative(process.cwd(), filePath);
+  let content;
+  try {
+    content = await readMetadataFile(filePath);
+  } catch (error) {
+    logger.warn(kleur.yellow(`  ⚠ Could not read the metadata file ${relativePath}:`), error.message);
+    return {};
+  }
+  if (!content || typeof content !== "object" || Array.isArray(content)) {
+    logger.warn(kleur.yellow(`  ⚠ Ignoring ${relativePath}: expected an object mapping icon names to metadata.`));
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(content).map(([name, value]) => [name, normalizeIconMetadata(value, `"${name}" in ${relativePath}`, logger)])
+  );
+}
+// Metadata of every icon name of a set. `sourcePaths` maps icon names to the SVG files they were generated
+// from (several with variants); their sidecars win over the central file field by field. Aliases
+// (`aliasOf` maps alias names to their targets) fall back to the metadata of their target. Central
+// entries for names the set does not have, and icons without any metadata, are reported.
+export async function resolveIconMetadata(names, sourcePaths, aliasOf, iconSet, logger = console) {
+  const central = typeof iconSet.metadata === "string" ? await readCentralMetadata(iconSet.metadata, logger) : {};
+  for (const name of Object.keys(central).filter((name) => !names.includes(name))) {
+    logger.warn(kleur.yellow(`  ⚠ Metadata for "${name}" does not match any icon of the set.`));
+  }
+  const metadata = new Map();
+  for (const name of names) {
+    let meta = Object.hasOwn(central, name) ? { ...central[name] } : null;
+    for (const sourcePath of sourcePaths.get(name) || []) {
+      const sidecarPath = sourcePath.replace(/\.svg$/i, ".json");
+      if (sidecarPath === sourcePath || !(await fs.pathExists(sidecarPath))) continue;
+      const label = path.relative(process.cwd(), sidecarPath);
+      try {
+        meta = { ...meta, ...normalizeIconMetadata(await readMetadataFile(sidecarPath), label, logger) };
+      } catch (error) {
+        logger.warn(kleur.yellow(`  ⚠ Could not read the metadata file ${label}:`), error.message);
+      }
+    }
+    if (meta) metadata.set(name, meta);
+  }
+  const missing = [];
+  for (const name of names) {
+    if (metadata.has(name)) continue;
+    if (aliasOf.has(name) && metadata.has(aliasOf.get(name))) {
+      metadata.set(name, metadata.get(aliasOf.get(name)));
+    } else if (!aliasOf.has(name)) {
+      missing.push(name);
+    }
+  }
+  if (missing.length > 0) {
+    logger.warn(kleur.yellow(`  ⚠ ${missing.length} icon(s) have no metadata:`), missing.join(", "));
+  }
+  return metadata;
+}
@@ -0,0 +1,50 @@
+// src/naming.js
+import { getSourceFolders, sanitizeName } from "./sources.js";
+import { applyVariants, getVariantComponentSuffix } from "./variants.js";
+
+// Prepended to component names that would not start with an uppercase letter ("2fa" -> Icon2fa)
+const FALLBACK_COMPONENT_PREFIX = "Icon";
+
+// Svelte only treats capitalized tags as components, and the name doubles as an import binding
+export function toComponentIdentifier(name) {
+  return /^[A-Z][A-Za-z0-9_]*$/.test(name) ? name : `${FALLBACK_COMPONENT_PREFIX}${name}`;
+}
+// Icon name of a source: the file name, prefixed with its subfolders when the set is `namespace`d
+// ("arrows/left.svg" -> "arrows-left"), then passed through the set's `rename` function
+function resolveBaseName(source, iconSet) {
+  const folders = getSourceFolders(source, iconSet.input)
+    .slice(iconSet.variants === "folder" ? 1 : 0)
+    .map((folder) => sanitizeName(folder)?.baseName)
+    .filter(Boolean);
+  let baseName = iconSet.namespace ? [...folders, source.baseName].join("-") : source.baseName;
+  if (iconSet.rename) {
+    const renamed = iconSet.rename(baseName, {
+      origin: source.origin,
+      path: source.path || null,
+      folders,
+      variant: source.variant || null,
+    });
+    if (renamed !== undefined && renamed !== null && renamed !== false) baseName = String(renamed);
+  }
+  const names = sanitizeName(baseName);
+  if (!names) {
+    throw new Error(`The rename function returned an empty name for ${source.origin}.`);
+  }
+  return names;
+}
+// Final icon and component names of every source: variants (see applyVariants), namespaces, the
+// `rename` function and the set's `componentPrefix`/`componentSuffix`, e.g. "arrows/left.svg" ->
+// { baseName: "arrows-left", componentName: "IconArrowsLeft" }
+export function applyNaming(sources, iconSet, knownVariants = []) {
+  return applyVariants(sources, iconSet, knownVariants).map((source) => {
+    const names = resolveBaseName(source, iconSet);
+    const variantSuffix = source.variant ? getVariantComponentSuffix(source.variant) : "";
+    return {
+      ...source,
+      baseName: names.baseName,
+      componentName: toComponentIdentifier(
+        `${iconSet.componentPrefix}${names.componentName}${variantSuffix}${iconSet.componentSuffix}`
+      ),
+    };
+  });
+}
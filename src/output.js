@@ -0,0 +1,62 @@
+// src/output.js
+import fs from "fs-extra";
+import path from "path";
+
+// All writes and deletions of generated files go through this writer. In a dry run nothing touches
+// the disk; the changes are recorded in `planned` instead, and `readdir` reflects them so that the
+// aggregate files are planned from the components the run would leave behind.
+export function createOutputWriter({ dryRun = false } = {}) {
+  const planned = [];
+  const plannedState = new Map(); // absolute path -> "write" | "delete"
+  const plannedContent = new Map();
+  const plan = (action, filePath, content) => {
+    const absolutePath = path.resolve(filePath);
+    plannedState.set(absolutePath, action);
+    plannedContent.set(absolutePath, content);
+    planned.push(action === "write" ? { action, file: absolutePath, content } : { action, file: absolutePath });
+  };
+  return {
+    dryRun,
+    planned,
+    async ensureDir(dirPath) {
+      if (!dryRun) await fs.ensureDir(dirPath);
+    },
+    async writeFile(filePath, content) {
+      if (dryRun) return plan("write", filePath, content);
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(filePath, content, "utf-8");
+    },
+    async remove(filePath) {
+      if (dryRun) return plan("delete", filePath);
+      await fs.remove(filePath);
+    },
+    async emptyDir(dirPath) {
+      if (!dryRun) return fs.emptyDir(dirPath);
+      for (const file of await this.readdir(dirPath)) {
+        plan("delete", path.join(dirPath, file));
+      }
+    },
+    async readFile(filePath) {
+      const absolutePath = path.resolve(filePath);
+      if (plannedState.get(absolutePath) === "write") return plannedContent.get(absolutePath);
+      return fs.readFile(filePath, "utf-8");
+    },
+    async pathExists(filePath) {
+      const state = plannedState.get(path.resolve(filePath));
+      if (state) return state === "write";
+      return fs.pathExists(filePath);
+    },
+    async readdir(dirPath) {
+      const absoluteDir = path.resolve(dirPath);
+      const files = new Set((await fs.pathExists(absoluteDir)) ? await fs.readdir(absoluteDir) : []);
+      for (const [filePath, state] of plannedState) {
+        if (path.dirname(filePath) !== absoluteDir) continue;
+        if (state === "write") files.add(path.basename(filePath));
+        else files.delete(path.basename(filePath));
+      }
+      return [...files];
+    },
+  };
+}
+
+export const diskWriter = createOutputWriter();
@@ -0,0 +1,70 @@
+// src/presets.js
+import { optimize } from "svgo";
+
+export const PRESETS = ["fill", "outline"];
+// Root <svg> stroke attributes that become component props in the outline preset
+export const LIFTED_STROKE_ATTRIBUTES = [
+  { attribute: "stroke-width", prop: "strokeWidth" },
+  { attribute: "stroke-linecap", prop: "strokeLinecap" },
+  { attribute: "stroke-linejoin", prop: "strokeLinejoin" },
+];
+
+// SVGO plugins of the built-in presets: "fill" strips strokes and inline styles (the original behavior),
+// "outline" keeps strokes so Lucide/Feather-style icons stay visible
+export function getPresetSvgoPlugins(preset = "fill") {
+  if (!PRESETS.includes(preset)) {
+    throw new Error(`Unknown preset "${preset}". Expected one of: ${PRESETS.join(", ")}.`);
+  }
+  return [
+    { name: "preset-default", params: { overrides: { removeViewBox: false } } },
+    { name: "removeAttrs", params: { attrs: preset === "outline" ? "style" : "(stroke|style)" } },
+    {
+      name: "addAttributesToSVGElement",
+      params: { attributes: [{ focusable: "false" }, { "aria-hidden": "true" }] },
+    },
+    { name: "removeUselessStrokeAndFill" },
+  ];
+}
+// Outline preset: every explicit stroke color follows the CSS color
+export function normalizeStrokeColors(svg) {
+  return optimize(svg, {
+    plugins: [
+      {
+        name: "svelteSvgGenStrokeColors",
+        fn: () => ({
+          element: {
+            enter: (node) => {
+              const stroke = node.attributes.stroke;
+              if (stroke && !/^(none|currentcolor|url\(|var\()/i.test(stroke.trim())) {
+                node.attributes.stroke = "currentColor";
+              }
+            },
+          },
+        }),
+      },
+    ],
+  }).data;
+}
+// Removes the lifted stroke attributes from the root <svg> and returns their original values
+export function liftRootStrokeAttributes(svg) {
+  const strokeDefaults = {};
+  const liftedSvg = svg.replace(/^(\s*<svg\b)([^>]*)>/, (match, start, attributes) => {
+    let remaining = attributes;
+    for (const { attribute, prop } of LIFTED_STROKE_ATTRIBUTES) {
+      const attributeMatch = remaining.match(new RegExp(`\\s${attribute}="([^"]*)"`));
+      if (attributeMatch) {
+        strokeDefaults[prop] = attributeMatch[1];
+        remaining = remaining.replace(attributeMatch[0], "");
+      }
+    }
+    return `${start}${remaining}>`;
+  });
+  return { svg: liftedSvg, strokeDefaults };
+}
+// Puts lifted stroke attributes back on the root <svg>, for markup rendered outside a component
+export function restoreRootStrokeAttributes(svg, strokeDefaults) {
+  const attributes = LIFTED_STROKE_ATTRIBUTES.filter(({ prop }) => strokeDefaults[prop] !== undefined)
+    .map(({ attribute, prop }) => ` ${attribute}="${strokeDefaults[prop]}"`)
+    .join("");
+  return svg.replace(/^(\s*<svg\b[^>]*)>/, `$1${attributes}>`);
+}
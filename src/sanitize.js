@@ -0,0 +1,102 @@
+// src/sanitize.js
+import { optimize } from "svgo";
+
+// Elements that run code or embed foreign content
+const REMOVED_ELEMENTS = new Set(["script", "foreignObject", "iframe", "embed", "object", "handler", "listener"]);
+const ANIMATION_ELEMENTS = new Set(["animate", "set", "animateMotion", "animateTransform"]);
+const HREF_ATTRIBUTES = new Set(["href", "xlink:href"]);
+const EMBEDDED_IMAGE_ELEMENTS = new Set(["image", "feImage"]);
+const SCRIPT_URL = /^\s*(javascript|vbscript|data):/i;
+const RASTER_DATA_URL = /^\s*data:image\/(png|jpe?g|gif|webp|avif)[;,]/i;
+// CSS that loads or evaluates something outside the icon
+const UNSAFE_CSS = /@import|expression\s*\(|javascript:|url\(\s*(?!['"]?#)/i;
+
+function truncate(value) {
+  return value.length > 40 ? `${value.slice(0, 37)}...` : value;
+}
+function isAllowedHref(elementName, value) {
+  if (elementName === "a") return !SCRIPT_URL.test(value);
+  if (EMBEDDED_IMAGE_ELEMENTS.has(elementName) && RASTER_DATA_URL.test(value)) return true;
+  return value.trim().startsWith("#");
+}
+function removeNode(node, parentNode) {
+  parentNode.children = parentNode.children.filter((child) => child !== node);
+}
+
+// Strips everything that could run code or load external resources from an untrusted SVG: <script>,
+// <foreignObject> and similar elements, on* handlers, animations of href/handler attributes, external or
+// javascript: references (href, url(), CSS) and stylesheet processing instructions.
+// Returns the cleaned markup and a description of every removed construct.
+export function sanitizeSvg(svg) {
+  const removed = [];
+  const record = (description) => {
+    if (!removed.includes(description)) removed.push(description);
+  };
+  const sanitizedSvg = optimize(svg, {
+    plugins: [
+      {
+        name: "svelteSvgGenSanitize",
+        fn: () => ({
+          doctype: {
+            enter: (node, parentNode) => {
+              removeNode(node, parentNode);
+              record("<!DOCTYPE>");
+            },
+          },
+          instruction: {
+            enter: (node, parentNode) => {
+              if (node.name === "xml-stylesheet") {
+                removeNode(node, parentNode);
+                record("<?xml-stylesheet?>");
+              }
+            },
+          },
+          element: {
+            enter: (node, parentNode) => {
+              if (REMOVED_ELEMENTS.has(node.name)) {
+                removeNode(node, parentNode);
+                record(`<${node.name}>`);
+                return;
+              }
+              const animatedAttribute = node.attributes.attributeName || "";
+              if (ANIMATION_ELEMENTS.has(node.name) && /^(on|href$|xlink:href$)/i.test(animatedAttribute)) {
+                removeNode(node, parentNode);
+                record(`<${node.name}> of ${animatedAttribute}`);
+                return;
+              }
+              if (node.name === "style") {
+                const css = node.children.map((child) => child.value || "").join("");
+                if (UNSAFE_CSS.test(css)) {
+                  removeNode(node, parentNode);
+                  record("<style> with external references");
+                }
+                return;
+              }
+              for (const [name, value] of Object.entries(node.attributes)) {
+                if (/^on/i.test(name)) {
+                  delete node.attributes[name];
+                  record(`${name} handler on <${node.name}>`);
+                } else if (HREF_ATTRIBUTES.has(name) && !isAllowedHref(node.name, value)) {
+                  delete node.attributes[name];
+                  record(`${name}="${truncate(value)}" on <${node.name}>`);
+                } else if (name === "style" && UNSAFE_CSS.test(value)) {
+                  const declarations = value.split(";").filter((declaration) => !UNSAFE_CSS.test(declaration));
+                  if (declarations.some((declaration) => declaration.trim())) {
+                    node.attributes.style = declarations.join(";");
+                  } else {
+                    delete node.attributes.style;
+                  }
+                  record(`external style on <${node.name}>`);
+                } else if (name !== "style" && /url\(\s*(?!['"]?#)/i.test(value)) {
+                  delete node.attributes[name];
+                  record(`${name}="${truncate(value)}" on <${node.name}>`);
+                }
+              }
+            },
+          },
+        }),
+      },
+    ],
+  }).data;
+  return { svg: sanitizedSvg, removed };
+}
@@ -0,0 +1,121 @@
+// src/sheets.js
+import { optimize } from "svgo";
+
+// Root children that are not rendered; a file with nothing else besides <symbol> elements is a sheet
+const NON_RENDERED_ELEMENTS = new Set(["defs", "symbol", "style", "title", "desc", "metadata"]);
+// Symbol attributes that only make sense on the <symbol> itself
+const SYMBOL_ONLY_ATTRIBUTES = new Set(["id", "viewBox"]);
+
+function getRootElement(root) {
+  return root.children.find((node) => node.type === "element" && node.name === "svg");
+}
+function walkElements(node, visit, ancestors = []) {
+  for (const child of node.children || []) {
+    if (child.type !== "element") continue;
+    visit(child, ancestors);
+    walkElements(child, visit, [...ancestors, child]);
+  }
+}
+function getSymbols(svgElement) {
+  const symbols = [];
+  walkElements(svgElement, (node) => {
+    if (node.name === "symbol" && node.attributes.id) symbols.push(node);
+  });
+  return symbols;
+}
+// Whether the root renders anything outside <symbol>/<defs>, as a regular icon reusing its symbols would
+function hasRenderedContent(svgElement) {
+  return svgElement.children.some(
+    (node) => (node.type === "element" && !NON_RENDERED_ELEMENTS.has(node.name)) || (node.type === "text" && node.value.trim())
+  );
+}
+// Ids an element and its descendants reference through url(#…), href="#…" and xlink:href="#…"
+function getReferencedIds(node) {
+  const ids = new Set();
+  const addUrls = (value) => {
+    for (const match of value.matchAll(/url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/g)) ids.add(match[1]);
+  };
+  const visit = (element) => {
+    for (const [name, value] of Object.entries(element.attributes)) {
+      if ((name === "href" || name === "xlink:href") && value.startsWith("#")) ids.add(value.slice(1));
+      else if (value.includes("url(")) addUrls(value);
+    }
+    for (const child of element.children) {
+      if (child.type === "element") visit(child);
+      else if (child.type === "text" || child.type === "cdata") addUrls(child.value);
+    }
+  };
+  visit(node);
+  return ids;
+}
+// Turns the sheet into a standalone SVG of one symbol: the symbol's viewBox and attributes on the root, its
+// children as the content, and whatever it references from the rest of the sheet (gradients, other
+// symbols, ...) plus the sheet's shared <style> elements in a <defs>
+function isolateSymbol(svgElement, symbolId) {
+  const elementsById = new Map();
+  const ancestorsByElement = new Map();
+  const styles = [];
+  walkElements(svgElement, (node, ancestors) => {
+    if (node.attributes.id && !elementsById.has(node.attributes.id)) elementsById.set(node.attributes.id, node);
+    ancestorsByElement.set(node, ancestors);
+    if (node.name === "style" && !ancestors.some((ancestor) => ancestor.name === "symbol")) styles.push(node);
+  });
+  const symbol = elementsById.get(symbolId);
+  const isInside = (node, container) => ancestorsByElement.get(node).includes(container);
+  const carried = new Set();
+  const pending = [...getReferencedIds(symbol)];
+  while (pending.length > 0) {
+    const referenced = elementsById.get(pending.pop());
+    if (!referenced || referenced === symbol || isInside(referenced, symbol) || carried.has(referenced)) continue;
+    carried.add(referenced);
+    pending.push(...getReferencedIds(referenced));
+  }
+  // Elements inside another carried element come along with it
+  const definitions = [...styles, ...[...carried].filter((node) => ![...carried].some((other) => isInside(node, other)))];
+  const attributes = {};
+  for (const name of ["xmlns", "xmlns:xlink"]) {
+    if (svgElement.attributes[name]) attributes[name] = svgElement.attributes[name];
+  }
+  const viewBox = symbol.attributes.viewBox || svgElement.attributes.viewBox;
+  if (viewBox) attributes.viewBox = viewBox;
+  for (const [name, value] of Object.entries(symbol.attributes)) {
+    if (!SYMBOL_ONLY_ATTRIBUTES.has(name)) attributes[name] = value;
+  }
+  svgElement.attributes = attributes;
+  svgElement.children = [
+    ...(definitions.length > 0 ? [{ type: "element", name: "defs", attributes: {}, children: definitions }] : []),
+    ...symbol.children,
+  ];
+}
+function transformSheet(svg, transform) {
+  return optimize(svg, {
+    plugins: [
+      {
+        name: "svelteSvgGenSheet",
+        fn: (root) => {
+          transform(root);
+          return {};
+        },
+      },
+    ],
+  }).data;
+}
+// Ids of the symbols of a sprite sheet (an SVG whose only content is <symbol id> elements, possibly inside
+// <defs>); empty for regular SVGs
+export function getSpriteSheetSymbolIds(svg) {
+  if (!/<symbol\b/.test(svg)) return [];
+  let symbolIds = [];
+  transformSheet(svg, (root) => {
+    const svgElement = getRootElement(root);
+    if (svgElement && !hasRenderedContent(svgElement)) {
+      symbolIds = [...new Set(getSymbols(svgElement).map((node) => node.attributes.id))];
+    }
+  });
+  return symbolIds;
+}
+// Splits a sprite sheet into one standalone SVG per symbol: [{ id, svg }]. Returns null for regular SVGs.
+export function splitSpriteSheet(svg) {
+  const symbolIds = getSpriteSheetSymbolIds(svg);
+  if (symbolIds.length === 0) return null;
+  return symbolIds.map((id) => ({ id, svg: transformSheet(svg, (root) => isolateSymbol(getRootElement(root), id)) }));
+}
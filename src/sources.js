@@ -0,0 +1,225 @@
+// src/sources.js
+import fs from "fs-extra";
+import path from "path";
+import { glob } from "glob";
+import kleur from "kleur";
+import { isUrl } from "./config.js";
+import { expandIconifyCollection, isIconifyInput, parseIconifyInput } from "./iconify.js";
+import { splitSpriteSheet } from "./sheets.js";
+export function sanitizeName(name) {
+  const baseName = name
+    .replace(/\.svg$/i, "")
+    .replace(/[^a-zA-Z0-9_-]/g, "-")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase();
+  if (!baseName) {
+    return null;
+  }
+  const componentName = baseName
+    .split(/[-_]/)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join("");
+  return {
+    baseName: baseName,
+    componentName: componentName,
+  };
+}
+export async function fetchSvgContent(url, logger = console) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const content = await response.text();
+    const urlPath = new URL(url).pathname;
+    const potentialName = path.basename(urlPath) || `graphic-${Date.now()}`;
+    return { content, potentialName };
+  } catch (error) {
+    logger.error(kleur.red(`✖ Failed to fetch SVG from ${url}:`), error.message);
+    return null;
+  }
+}
+export async function readSvgSource(source) {
+  if (source.type === "file") {
+    return fs.readFile(source.path, "utf-8");
+  } else if (["url", "direct", "iconify", "symbol"].includes(source.type)) {
+    return source.content;
+  }
+  throw new Error(`Unknown source type: ${source.type}`);
+}
+// Folders between the input directory a file was found in and the file ("icons/arrows/left.svg" with input
+// "icons" -> ["arrows"]); empty for URLs, pasted SVGs and files given directly
+export function getSourceFolders(source, inputs) {
+  if (source.type !== "file" && source.type !== "symbol") return [];
+  for (const input of inputs) {
+    if (isUrl(input)) continue;
+    const relativePath = path.relative(path.resolve(input), path.resolve(source.path));
+    const segments = relativePath.split(path.sep);
+    if (segments.length < 2 || segments[0] === ".." || path.isAbsolute(relativePath)) continue;
+    return segments.slice(0, -1);
+  }
+  return [];
+}
+export function createFileSource(filePath, origin) {
+  const names = sanitizeName(path.basename(filePath));
+  if (!names) {
+    return null;
+  }
+  return {
+    type: "file",
+    origin,
+    path: filePath,
+    baseName: names.baseName,
+    componentName: names.componentName,
+  };
+}
+// Sources of an SVG file: one per symbol for sprite sheets (see splitSpriteSheet), named after the symbol id
+// and with the origin "<file>#<id>", else the file itself. Files that cannot be parsed are left for the
+// optimizer to report.
+export async function createFileSources(filePath, origin, logger = console) {
+  let symbols = null;
+  try {
+    symbols = splitSpriteSheet(await fs.readFile(filePath, "utf-8"));
+  } catch {
+    symbols = null;
+  }
+  if (!symbols) {
+    const source = createFileSource(filePath, origin);
+    if (!source) logger.warn(kleur.yellow(`⚠ Could not derive a valid name from file ${origin}. Skipping.`));
+    return source ? [source] : [];
+  }
+  logger.log(kleur.gray(`  Splitting sprite sheet ${origin} into ${symbols.length} icon(s).`));
+  const sources = [];
+  for (const symbol of symbols) {
+    const names = sanitizeName(symbol.id);
+    if (!names) {
+      logger.warn(kleur.yellow(`⚠ Could not derive a valid name from symbol "${symbol.id}" in ${origin}. Skipping.`));
+      continue;
+    }
+    sources.push({
+      type: "symbol",
+      origin: `${origin}#${symbol.id}`,
+      path: filePath,
+      symbolId: symbol.id,
+      content: symbol.svg,
+      baseName: names.baseName,
+      componentName: names.componentName,
+    });
+  }
+  return sources;
+}
+// Expands an Iconify JSON collection (file or URL, optionally filtered with "#name,...") into one source
+// per icon. `collection` is the absolute path or URL, `iconName` the icon's name in the collection.
+async function resolveIconifySources(input, logger, failures) {
+  const { location, filter } = parseIconifyInput(input);
+  const collectionPath = isUrl(location) ? location : path.resolve(location);
+  let expanded;
+  try {
+    let content;
+    if (isUrl(location)) {
+      logger.log(kleur.cyan(`→ Fetching Iconify collection from URL:`), location);
+      const response = await fetch(location);
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+      content = await response.text();
+    } else {
+      logger.log(kleur.cyan(`→ Reading Iconify collection:`), location);
+      content = await fs.readFile(collectionPath, "utf-8");
+    }
+    expanded = expandIconifyCollection(JSON.parse(content), filter);
+  } catch (error) {
+    logger.error(kleur.red(`✖ Failed to read Iconify collection ${location}:`), error.message);
+    failures.push({ origin: input, error: error.message });
+    return [];
+  }
+  for (const name of expanded.missing) {
+    logger.warn(kleur.yellow(`⚠ Icon "${name}" not found in ${location}.`));
+    failures.push({ origin: `${location}#${name}`, error: "Icon not found in the Iconify collection" });
+  }
+  logger.log(kleur.gray(`  Found ${expanded.icons.length} icons${expanded.prefix ? ` in "${expanded.prefix}"` : ""}.`));
+  const sources = [];
+  for (const icon of expanded.icons) {
+    const names = sanitizeName(icon.name);
+    if (!names) {
+      logger.warn(kleur.yellow(`⚠ Could not derive a valid name from Iconify icon "${icon.name}". Skipping.`));
+      continue;
+    }
+    sources.push({
+      type: "iconify",
+      origin: `${location}#${icon.name}`,
+      collection: collectionPath,
+      iconName: icon.name,
+      content: icon.svg,
+      baseName: names.baseName,
+      componentName: names.componentName,
+    });
+  }
+  return sources;
+}
+// Inputs that cannot be read (missing paths, failed downloads) are skipped; pass a `failures` array to
+// collect them as `{ origin, error }`.
+export async function resolveInputSources(inputs, logger = console, failures = []) {
+  const sources = [];
+  const cwd = process.cwd();
+  if (!inputs || inputs.length === 0) {
+    return [];
+  }
+  for (let input of inputs) {
+    input = input.replace(/^"|"$/g, '');
+
+    if (isIconifyInput(input)) {
+      sources.push(...(await resolveIconifySources(input, logger, failures)));
+    } else if (isUrl(input)) {
+      logger.log(kleur.cyan(`→ Fetching SVG from URL:`), input);
+      const result = await fetchSvgContent(input, logger);
+      if (result && result.content) {
+        const names = sanitizeName(result.potentialName);
+        if (!names) {
+          logger.warn(kleur.yellow(`⚠ Could not derive a valid name from URL ${input}. Skipping.`));
+          continue;
+        }
+        sources.push({
+          type: "url",
+          origin: input,
+          content: result.content,
+          baseName: names.baseName,
+          componentName: names.componentName,
+        });
+      } else {
+        failures.push({ origin: input, error: "Could not fetch SVG" });
+      }
+    } else {
+      const absolutePath = path.resolve(cwd, input);
+      if (!(await fs.pathExists(absolutePath))) {
+        logger.warn(kleur.yellow(`⚠ Input path not found, skipping: ${input}`));
+        failures.push({ origin: input, error: "Input path not found" });
+        continue;
+      }
+      try {
+        const stats = await fs.stat(absolutePath);
+        if (stats.isFile() && absolutePath.toLowerCase().endsWith(".svg")) {
+          logger.log(kleur.cyan(`→ Processing SVG file:`), input);
+          sources.push(...(await createFileSources(absolutePath, input, logger)));
+        } else if (stats.isDirectory()) {
+          logger.log(kleur.cyan(`→ Searching for SVGs in directory:`), input);
+          const pattern = path.join(absolutePath, "**", "*.svg").replace(/\\/g, "/");
+          const files = await glob(pattern, { ignore: "**/node_modules/**", nodir: true });
+          if (files.length === 0) {
+            logger.log(kleur.gray(`  No SVG files found in ${input}.`));
+          } else {
+            logger.log(kleur.gray(`  Found ${files.length} SVG files.`));
+            for (const file of files) {
+              sources.push(...(await createFileSources(file, path.relative(cwd, file), logger)));
+            }
+          }
+        } else {
+          logger.warn(kleur.yellow(`⚠ Input path is neither a .svg file nor a directory, skipping: ${input}`));
+        }
+      } catch (statError) {
+        logger.error(kleur.red(`✖ Error accessing path ${input}:`), statError.message);
+        failures.push({ origin: input, error: statError.message });
+      }
+    }
+  }
+  return sources;
+}
@@ -0,0 +1,151 @@
+// src/sprite.js
+import fs from "fs-extra";
+import path from "path";
+import kleur from "kleur";
+import { createSvgSpriteComponent } from "./templates/svgSpriteTemplate.js";
+import { diskWriter } from "./output.js";
+import { prefixIds } from "./ids.js";
+import { readSvgSource } from "./sources.js";
+import { measureIcon } from "./stats.js";
+
+export const SPRITE_FILE_NAME = "sprite.svg";
+// Hidden without display: none, which would stop gradients and masks inside the symbols from rendering
+const INLINE_SPRITE_ATTRIBUTES = ' aria-hidden="true" style="position: absolute; width: 0; height: 0; overflow: hidden;"';
+// Root <svg> attributes that make no sense on a <symbol> (sizing is left to the <use> site)
+const SYMBOL_DROPPED_ATTRIBUTES = new Set([
+  "xmlns",
+  "xmlns:xlink",
+  "version",
+  "width",
+  "height",
+  "class",
+  "viewBox",
+  "aria-hidden",
+  "focusable",
+  "x",
+  "y",
+]);
+
+function parseAttributes(attributesString) {
+  const attributes = {};
+  for (const match of attributesString.matchAll(/([^\s=]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+}
+// Where the sprite markup lives: a standalone sprite.svg, or a component to render in the layout
+export function getSpriteOutputPath(iconSet) {
+  return iconSet.spriteInline
+    ? path.join(iconSet.output, `${iconSet.loaderName}Sprite.svelte`)
+    : path.join(iconSet.output, SPRITE_FILE_NAME);
+}
+// Turns an optimized SVG into a <symbol>, prefixing its internal ids with the symbol id so that
+// gradients, masks and clipPaths of different symbols cannot collide inside the sprite. The "--"
+// delimiter keeps them apart from the symbol ids themselves (icon names never contain "--").
+// The variant (--variants) is kept as data-variant, so --regenerate can read it back.
+export function createSymbol(optimizedSvg, symbolId, variant) {
+  const prefixedSvg = prefixIds(optimizedSvg, symbolId);
+  const match = prefixedSvg.match(/^\s*<svg\b([^>]*)>([\s\S]*)<\/svg>\s*$/);
+  if (!match) {
+    throw new Error("Optimized SVG has no <svg> root element with content.");
+  }
+  const attributes = parseAttributes(match[1]);
+  let viewBox = attributes.viewBox;
+  if (!viewBox && attributes.width && attributes.height) {
+    viewBox = `0 0 ${parseFloat(attributes.width)} ${parseFloat(attributes.height)}`;
+  }
+  if (!viewBox) {
+    throw new Error("SVG has neither a viewBox nor width/height; cannot build a sprite symbol.");
+  }
+  const keptAttributes = Object.entries(attributes)
+    .filter(([name]) => !SYMBOL_DROPPED_ATTRIBUTES.has(name))
+    .map(([name, value]) => ` ${name}="${value}"`)
+    .join("");
+  return {
+    viewBox,
+    markup: `<symbol id="${symbolId}"${variant ? ` data-variant="${variant}"` : ""} viewBox="${viewBox}"${keptAttributes}>${match[2]}</symbol>`,
+  };
+}
+export function buildSprite(symbols, rootAttributes = "") {
+  const needsXlink = symbols.some((symbol) => symbol.markup.includes("xlink:"));
+  return `<svg xmlns="http://www.w3.org/2000/svg"${
+    needsXlink ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : ""
+  }${rootAttributes}>\n${symbols.map((symbol) => `  ${symbol.markup}`).join("\n")}\n</svg>\n`;
+}
+// Reads the icons back from an existing sprite (used by --regenerate)
+export async function getIconsFromSprite(iconSet) {
+  const spritePath = getSpriteOutputPath(iconSet);
+  if (!(await fs.pathExists(spritePath))) {
+    return [];
+  }
+  const content = await fs.readFile(spritePath, "utf-8");
+  const icons = [];
+  for (const match of content.matchAll(/<symbol\b([^>]*)>/g)) {
+    const { id, viewBox, "data-variant": variant } = parseAttributes(match[1]);
+    if (!id || !id.startsWith(iconSet.spritePrefix)) continue;
+    const baseName = id.slice(iconSet.spritePrefix.length);
+    if (variant) {
+      icons.push({ baseName: baseName.slice(0, -(variant.length + 1)), symbolId: id, viewBox, variant });
+    } else {
+      icons.push({ baseName, symbolId: id, viewBox });
+    }
+  }
+  return icons;
+}
+// Optimizes every source of the set into one sprite; the loader then references its symbols by id
+export async function generateSpriteSet(sourcesToProcess, iconSet, optimizeSource, logger = console, output = diskWriter) {
+  const result = { generated: [], skipped: [], failed: [], pruned: [], aliased: [], icons: [], stats: [], overBudget: [] };
+  const spritePath = getSpriteOutputPath(iconSet);
+  const symbols = [];
+  const seenSymbolIds = new Set();
+  logger.log(kleur.magenta(`\nBuilding sprite from ${sourcesToProcess.length} potential SVG source(s)...`));
+  for (const source of sourcesToProcess) {
+    const entry = { baseName: source.baseName, componentName: source.componentName, origin: source.origin, file: spritePath };
+    // Each variant of an icon gets its own symbol
+    const symbolId = `${iconSet.spritePrefix}${source.baseName}${source.variant ? `-${source.variant}` : ""}`;
+    if (seenSymbolIds.has(symbolId)) {
+      logger.warn(
+        kleur.yellow(`  ⚠ Skipping duplicate icon name "${source.baseName}"${source.variant ? ` (${source.variant})` : ""} in this batch (from ${source.origin}).`)
+      );
+      result.failed.push({ ...entry, error: "Duplicate icon name in this batch" });
+      continue;
+    }
+    try {
+      const optimizedSvg = await optimizeSource(source);
+      const symbol = createSymbol(optimizedSvg, symbolId, source.variant);
+      symbols.push(symbol);
+      seenSymbolIds.add(symbolId);
+      result.icons.push({
+        baseName: source.baseName,
+        componentName: source.componentName,
+        symbolId,
+        viewBox: symbol.viewBox,
+        variant: source.variant,
+        sourcePath: source.type === "file" ? source.path : null,
+      });
+      result.generated.push({ ...entry, overwritten: false });
+      result.stats.push({
+        baseName: source.baseName,
+        componentName: source.componentName,
+        ...measureIcon(await readSvgSource(source), optimizedSvg, symbol.markup),
+      });
+      logger.log(kleur.green(`  ✔ Added symbol:`), kleur.dim(`#${symbolId} (from ${source.origin})`));
+    } catch (error) {
+      result.failed.push({ ...entry, error: error.message });
+      logger.error(kleur.red(`  ✖ Error processing ${source.origin}:`), error.message);
+    }
+  }
+  if (symbols.length === 0) {
+    logger.warn(kleur.yellow("\nNo symbols could be built. Skipping sprite, loader and type generation."));
+    return result;
+  }
+  const spriteContent = iconSet.spriteInline
+    ? createSvgSpriteComponent(buildSprite(symbols, INLINE_SPRITE_ATTRIBUTES))
+    : buildSprite(symbols);
+  await output.writeFile(spritePath, spriteContent);
+  logger.log(
+    kleur.green(`\n✔ Wrote sprite with ${symbols.length} symbol(s):`),
+    kleur.dim(path.relative(process.cwd(), spritePath))
+  );
+  return result;
+}
@@ -0,0 +1,108 @@
+// src/stats.js
+import zlib from "zlib";
+import kleur from "kleur";
+import { SCRIPT_NAME } from "./config.js";
+
+// Rows printed in the size table; the totals always cover every icon
+const SIZE_TABLE_ROWS = 20;
+const SIZE_COLUMNS = [
+  ["sourceBytes", "Source"],
+  ["optimizedBytes", "Optimized"],
+  ["outputBytes", "Output"],
+  ["gzipBytes", "Gzip"],
+];
+
+export function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+// Sizes of one icon: the source file, the optimized (sanitized, normalized) markup, the generated output
+// (component or sprite symbol) raw and gzipped, and the number of <path> elements
+export function measureIcon(sourceContent, optimizedSvg, outputContent) {
+  return {
+    sourceBytes: Buffer.byteLength(sourceContent),
+    optimizedBytes: Buffer.byteLength(optimizedSvg),
+    outputBytes: Buffer.byteLength(outputContent),
+    gzipBytes: zlib.gzipSync(outputContent).length,
+    paths: optimizedSvg.match(/<path\b/g)?.length || 0,
+  };
+}
+export function sumStats(stats) {
+  const totals = { icons: stats.length, sourceBytes: 0, optimizedBytes: 0, outputBytes: 0, gzipBytes: 0, paths: 0 };
+  for (const icon of stats) {
+    for (const key of ["sourceBytes", "optimizedBytes", "outputBytes", "gzipBytes", "paths"]) totals[key] += icon[key];
+  }
+  return totals;
+}
+function sortBySize(stats) {
+  return [...stats].sort((a, b) => b.outputBytes - a.outputBytes || a.componentName.localeCompare(b.componentName));
+}
+// Icons over `maxIconBytes` and the set over `maxTotalBytes`, compared with the generated output size
+export function findBudgetViolations(stats, iconSet) {
+  const violations = [];
+  if (iconSet.maxIconBytes) {
+    for (const icon of sortBySize(stats)) {
+      if (icon.outputBytes <= iconSet.maxIconBytes) break;
+      violations.push({
+        componentName: icon.componentName,
+        bytes: icon.outputBytes,
+        budget: iconSet.maxIconBytes,
+        message: `${icon.componentName} is ${icon.outputBytes} bytes (max ${iconSet.maxIconBytes} per icon)`,
+      });
+    }
+  }
+  const { outputBytes } = sumStats(stats);
+  if (iconSet.maxTotalBytes && outputBytes > iconSet.maxTotalBytes) {
+    violations.push({
+      componentName: null,
+      bytes: outputBytes,
+      budget: iconSet.maxTotalBytes,
+      message: `${stats.length} icon(s) total ${outputBytes} bytes (max ${iconSet.maxTotalBytes})`,
+    });
+  }
+  return violations;
+}
+// Prints the largest icons of a set, largest first, followed by the totals
+export function logSizeReport(stats, logger = console) {
+  if (stats.length === 0) return;
+  const rows = sortBySize(stats);
+  const shownRows = rows.slice(0, SIZE_TABLE_ROWS);
+  const nameWidth = Math.max(5, ...shownRows.map((icon) => icon.componentName.length));
+  const formatRow = (name, values, paths) =>
+    `  ${name.padEnd(nameWidth)}  ${values.map((value) => value.padStart(9)).join("  ")}  ${String(paths).padStart(5)}`;
+  logger.log(kleur.cyan(`\nSize Report${rows.length > SIZE_TABLE_ROWS ? ` (largest ${SIZE_TABLE_ROWS} of ${rows.length})` : ""}:`));
+  logger.log(kleur.gray(formatRow("Icon", SIZE_COLUMNS.map(([, label]) => label), "Paths")));
+  for (const icon of shownRows) {
+    logger.log(formatRow(icon.componentName, SIZE_COLUMNS.map(([key]) => formatBytes(icon[key])), icon.paths));
+  }
+  const totals = sumStats(stats);
+  logger.log(kleur.bold(formatRow("Total", SIZE_COLUMNS.map(([key]) => formatBytes(totals[key])), totals.paths)));
+  const saved = totals.sourceBytes > 0 ? Math.round((1 - totals.optimizedBytes / totals.sourceBytes) * 100) : 0;
+  if (saved > 0) logger.log(kleur.gray(`  Optimization saved ${saved}% of the source bytes.`));
+}
+// Serializes the stats of every set, as Markdown for a `.md` file and as JSON otherwise
+export function formatSizeReport(sets, filePath) {
+  const reportSets = sets.map((set) => ({
+    name: set.name,
+    totals: sumStats(set.stats),
+    icons: sortBySize(set.stats),
+    overBudget: set.overBudget,
+  }));
+  if (!/\.md$/i.test(filePath)) {
+    return `${JSON.stringify({ generator: SCRIPT_NAME, sets: reportSets }, null, 2)}\n`;
+  }
+  const lines = ["# Icon Size Report", ""];
+  for (const set of reportSets) {
+    if (set.name) lines.push(`## ${set.name}`, "");
+    lines.push(`| Icon | ${SIZE_COLUMNS.map(([, label]) => label).join(" | ")} | Paths |`);
+    lines.push(`| --- | ${SIZE_COLUMNS.map(() => "---:").join(" | ")} | ---: |`);
+    for (const icon of set.icons) {
+      lines.push(`| ${icon.componentName} | ${SIZE_COLUMNS.map(([key]) => formatBytes(icon[key])).join(" | ")} | ${icon.paths} |`);
+    }
+    lines.push(
+      `| **Total (${set.totals.icons})** | ${SIZE_COLUMNS.map(([key]) => `**${formatBytes(set.totals[key])}**`).join(" | ")} | **${set.totals.paths}** |`
+    );
+    for (const violation of set.overBudget) lines.push("", `> Over budget: ${violation.message}`);
+    lines.push("");
+  }
+  return lines.join("\n");
+}
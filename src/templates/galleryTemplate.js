@@ -0,0 +1,105 @@
+// src/templates/galleryTemplate.js
+// Static preview page of an icon set. `icons` are { baseName, componentName, variant?, markup } with the
+// final SVG markup of each icon; `options.loaderName` names the component in the copied snippets.
+export function createGalleryPage(icons, options = {}) {
+  const { title = "Icons", loaderName = "SvgIcon" } = options;
+  const cards = icons
+    .map((icon) => {
+      const snippet = `<${loaderName} name="${icon.baseName}"${icon.variant ? ` variant="${icon.variant}"` : ""} />`;
+      const search = [icon.baseName, icon.componentName, icon.variant].filter(Boolean).join(" ").toLowerCase();
+      return `      <li>
+        <button type="button" class="card" data-search="${search}" data-snippet="${escapeHtml(snippet)}" title="Copy ${escapeHtml(snippet)}">
+          <span class="icon">${icon.markup}</span>
+          <span class="name">${icon.baseName}</span>
+          <span class="component">${icon.componentName}</span>
+        </button>
+      </li>`;
+    })
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <!-- Generated by svg-to-svelte-icons -->
+  <title>${escapeHtml(title)}</title>
+  <style>
+    :root { --icon-size: 32px; --icon-color: #1f2937; --background: #ffffff; --card: #f3f4f6; --text: #111827; --muted: #6b7280; }
+    body.dark { --icon-color: #f9fafb; --background: #111827; --card: #1f2937; --text: #f9fafb; --muted: #9ca3af; }
+    body { margin: 0; font: 14px/1.4 system-ui, sans-serif; background: var(--background); color: var(--text); }
+    header { position: sticky; top: 0; display: flex; flex-wrap: wrap; gap: 12px; align-items: center; padding: 16px 24px; background: var(--background); border-bottom: 1px solid var(--card); }
+    h1 { margin: 0 auto 0 0; font-size: 18px; }
+    input[type="search"] { min-width: 220px; padding: 6px 10px; border: 1px solid var(--muted); border-radius: 6px; background: var(--card); color: var(--text); }
+    label { display: flex; gap: 6px; align-items: center; color: var(--muted); }
+    ul { display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 12px; margin: 0; padding: 24px; list-style: none; }
+    .card { display: flex; flex-direction: column; align-items: center; gap: 6px; width: 100%; padding: 16px 8px; border: 0; border-radius: 8px; background: var(--card); color: var(--text); font: inherit; cursor: pointer; }
+    .card:hover, .card:focus-visible { outline: 2px solid var(--muted); }
+    .icon { display: flex; align-items: center; justify-content: center; height: max(var(--icon-size), 32px); color: var(--icon-color); }
+    .icon svg { width: var(--icon-size); height: var(--icon-size); }
+    .name { font-weight: 600; word-break: break-all; }
+    .component, #count { color: var(--muted); font-size: 12px; }
+    #status { position: fixed; bottom: 16px; left: 50%; transform: translateX(-50%); padding: 6px 12px; border-radius: 6px; background: var(--text); color: var(--background); opacity: 0; transition: opacity 0.2s; }
+    #status.visible { opacity: 1; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <input type="search" id="search" placeholder="Search ${icons.length} icons" aria-label="Search icons">
+    <label>Size <input type="range" id="size" min="12" max="96" value="32"></label>
+    <label>Color <input type="color" id="color" value="#1f2937"></label>
+    <label><input type="checkbox" id="dark"> Dark</label>
+    <span id="count"></span>
+  </header>
+  <ul id="icons">
+${cards}
+  </ul>
+  <div id="status" role="status"></div>
+  <script>
+    const cards = [...document.querySelectorAll(".card")];
+    const count = document.getElementById("count");
+    const status = document.getElementById("status");
+    const color = document.getElementById("color");
+    function filter(query) {
+      const terms = query.toLowerCase().split(/\\s+/).filter(Boolean);
+      let shown = 0;
+      for (const card of cards) {
+        const match = terms.every((term) => card.dataset.search.includes(term));
+        card.parentElement.hidden = !match;
+        if (match) shown++;
+      }
+      count.textContent = shown + " / " + cards.length;
+    }
+    document.getElementById("search").addEventListener("input", (event) => filter(event.target.value));
+    document.getElementById("size").addEventListener("input", (event) => {
+      document.body.style.setProperty("--icon-size", event.target.value + "px");
+    });
+    color.addEventListener("input", () => document.body.style.setProperty("--icon-color", color.value));
+    document.getElementById("dark").addEventListener("change", (event) => {
+      document.body.classList.toggle("dark", event.target.checked);
+      color.value = event.target.checked ? "#f9fafb" : "#1f2937";
+      document.body.style.removeProperty("--icon-color");
+    });
+    let statusTimeout;
+    for (const card of cards) {
+      card.addEventListener("click", async () => {
+        try {
+          await navigator.clipboard.writeText(card.dataset.snippet);
+          status.textContent = "Copied " + card.dataset.snippet;
+        } catch {
+          status.textContent = card.dataset.snippet;
+        }
+        status.classList.add("visible");
+        clearTimeout(statusTimeout);
+        statusTimeout = setTimeout(() => status.classList.remove("visible"), 1500);
+      });
+    }
+    filter("");
+  </script>
+</body>
+</html>
+`;
+}
+function escapeHtml(value) {
+  return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
@@ -1,18 +1,222 @@
 // src/templates/svelteIconTemplate.js
-export function createSvelteIconComponent(optimizedSvg, baseClass) {
-  return `<script lang="ts">
-  // Generated by svg-to-svelte-icons
+import { rewriteIds } from "../ids.js";
+// The intrinsic width/height are replaced by a `size` prop (number or CSS length, 1em by default).
+// `options.colorSlots` (from --colors vars) adds one colorN prop per slot, setting --icon-color-N.
+// `options.stroke` (outline preset) adds strokeWidth/strokeLinecap/strokeLinejoin props defaulting to the
+// lifted root attributes, and a nonScalingStroke prop.
+// Internal ids (gradients, masks, clipPaths, ...) are prefixed with the instance id, built from
+// `options.idPrefix`, so several instances on one page never share them. { and } in the SVG are escaped so
+// Svelte never reads them as expressions. `options.icon` ({ name, variant? }) is recorded in a comment, so regeneration reads the
+// icon name instead of deriving it from the component name.
+export function createSvelteIconComponent(optimizedSvg, baseClass, options = {}) {
+  const extraProps = [SIZE_PROP, ...getColorProps(options.colorSlots), ...getStrokeProps(options.stroke)];
+  const scopedSvg = withInstanceIds(withoutIntrinsicSize(optimizedSvg), options.idPrefix);
+  const markup = withSvgAttributes(
+    options.stroke ? withVectorEffect(scopedSvg) : scopedSvg,
+    options.runes ? '{...restProps}' : '{...$$restProps}',
+    extraProps
+  );
+  if (options.runes) {
+    return createRunesIconComponent(markup, baseClass, extraProps, options.icon, options.idPrefix);
+  }
+  const extraPropsDeclarations = extraProps
+    .map(
+      ({ name, type, defaultValue }) =>
+        `\n  export let ${name}: ${type}${defaultValue === undefined ? " | undefined" : ""} = ${defaultValue ?? "undefined"};`
+    )
+    .join("");
+  return `${A11Y_MODULE_SCRIPT_LEGACY}
+<script lang="ts">
+  // Generated by svg-to-svelte-icons${iconComment(options.icon)}
   import type { SVGAttributes } from 'svelte/elements';
-  interface $$Props extends SVGAttributes<SVGSVGElement> {}
+  interface $$Props extends SVGAttributes<SVGSVGElement> {
+${A11Y_PROPS_INTERFACE}${extraPropsInterface(extraProps)}
+  }
+  export let title: string | undefined = undefined;
+  export let desc: string | undefined = undefined;${extraPropsDeclarations}
   const baseClassName = "${baseClass || ''}";
   $: finalClass = (baseClassName + ' ' + ($$props.class || '')).trim();
+  ${instanceIdDeclaration(options.idPrefix)}
+  $: labelledBy = ${A11Y_LABELLED_BY_EXPRESSION};
+  $: labelled = ${a11yLabelledExpression('$$restProps')};
+</script>
+${markup}
+`;
+}
+
+// Svelte 5 (runes mode) variant of the icon component
+function createRunesIconComponent(markup, baseClass, extraProps, icon, idPrefix) {
+  const extraPropsDestructuring = extraProps
+    .map(({ name, defaultValue }) => (defaultValue === undefined ? `${name}, ` : `${name} = ${defaultValue}, `))
+    .join("");
+  return `<script lang="ts">
+  // Generated by svg-to-svelte-icons${iconComment(icon)}
+  import type { SVGAttributes } from 'svelte/elements';
+  interface Props extends SVGAttributes<SVGSVGElement> {
+${A11Y_PROPS_INTERFACE}${extraPropsInterface(extraProps)}
+  }
+  let { class: className = '', title, desc, ${extraPropsDestructuring}...restProps }: Props = $props();
+  const baseClassName = "${baseClass || ''}";
+  const finalClass = $derived((baseClassName + ' ' + (className || '')).trim());
+  ${instanceIdDeclaration(idPrefix, true)}
+  const labelledBy = $derived(${A11Y_LABELLED_BY_EXPRESSION});
+  const labelled = $derived(${a11yLabelledExpression('restProps')});
+</script>
+${markup}
+`;
+}
+
+// --- Icon Name ---
+const ICON_COMMENT_PATTERN = /^\s*\/\/ Icon: ([\w-]+)(?: \(variant: ([\w-]+)\))?$/m;
+function iconComment(icon) {
+  if (!icon) return "";
+  return `\n  // Icon: ${icon.name}${icon.variant ? ` (variant: ${icon.variant})` : ""}`;
+}
+// Icon name and variant recorded in a generated component, or null for components without them
+export function readIconComment(content) {
+  const match = content.match(ICON_COMMENT_PATTERN);
+  return match ? { name: match[1], variant: match[2] || null } : null;
+}
+
+// --- Extra Props ---
+// Each extra prop: its name, TypeScript type, default value as a source literal, and the attribute (or
+// style directive) it sets on the root <svg>.
+const SIZE_PROP = {
+  name: "size",
+  type: "number | string",
+  defaultValue: "'1em'",
+  rootAttribute: "width={size} height={size}",
+};
+function getColorProps(colorSlots = []) {
+  return colorSlots.map((color, index) => ({
+    name: `color${index + 1}`,
+    type: "string",
+    defaultValue: undefined,
+    rootAttribute: `style:--icon-color-${index + 1}={color${index + 1}}`,
+  }));
+}
+function getStrokeProps(stroke) {
+  if (!stroke) return [];
+  const strokeProp = (name, attribute) => ({
+    name,
+    type: `SVGAttributes<SVGSVGElement>['${attribute}']`,
+    defaultValue: toLiteral(stroke.defaults[name]),
+    rootAttribute: `${attribute}={${name}}`,
+  });
+  return [
+    strokeProp("strokeWidth", "stroke-width"),
+    strokeProp("strokeLinecap", "stroke-linecap"),
+    strokeProp("strokeLinejoin", "stroke-linejoin"),
+    { name: "nonScalingStroke", type: "boolean", defaultValue: String(Boolean(stroke.nonScalingStroke)) },
+  ];
+}
+function toLiteral(value) {
+  if (value === undefined) return undefined;
+  return /^-?\d*\.?\d+$/.test(value) ? value : `'${value.replace(/'/g, "\\'")}'`;
+}
+function extraPropsInterface(extraProps) {
+  return extraProps.map(({ name, type }) => `\n    ${name}?: ${type};`).join("");
+}
+// Drops the root width/height so the size prop (and CSS) control sizing. Without a viewBox they become one,
+// otherwise the icon would no longer scale.
+function withoutIntrinsicSize(svg) {
+  return svg.replace(/<svg([^>]*)>/, (match, attributes) => {
+    const width = attributes.match(/\swidth="([\d.]+)(?:px)?"/);
+    const height = attributes.match(/\sheight="([\d.]+)(?:px)?"/);
+    let newAttributes = attributes.replace(/\s(width|height)="[^"]*"/g, "");
+    if (!/\sviewBox=/.test(attributes) && width && height) {
+      newAttributes += ` viewBox="0 0 ${width[1]} ${height[1]}"`;
+    }
+    return `<svg${newAttributes}>`;
+  });
+}
+// Build-time ids carry the component's id prefix, which each instance swaps for its instance id
+// ("svg-icon-Flag--a" -> "svg-icon-Flag-s1--a"). The placeholder survives brace escaping.
+const INSTANCE_ID_PLACEHOLDER = "svelte-svg-gen-instance-id";
+const STYLE_ELEMENT_PATTERN = /(<style\b[\s\S]*?<\/style>)/;
+function withInstanceIds(svg, idPrefix) {
+  const toInstanceId = (id) =>
+    idPrefix && id.startsWith(`${idPrefix}--`)
+      ? `${INSTANCE_ID_PLACEHOLDER}${id.slice(idPrefix.length)}`
+      : `${INSTANCE_ID_PLACEHOLDER}-${id}`;
+  return rewriteIds(svg, toInstanceId)
+    .svg.split(STYLE_ELEMENT_PATTERN)
+    .map((part, index) => {
+      if (index % 2 === 1) return withStyleInstanceIds(part);
+      return escapeSvelteBraces(part).replaceAll(INSTANCE_ID_PLACEHOLDER, "{instanceId}");
+    })
+    .join("");
+}
+// Nested <style> elements are inserted as-is by Svelte, so one whose url(#…) references carry the instance id
+// is rendered through {@html} from a template literal instead
+function withStyleInstanceIds(style) {
+  if (!style.includes(INSTANCE_ID_PLACEHOLDER)) return style;
+  const literal = style.replace(/[\\`]|\$\{/g, (match) => `\\${match}`).replaceAll(INSTANCE_ID_PLACEHOLDER, "${instanceId}");
+  return `{@html \`${literal}\`}`;
+}
+// Turns { and } into character references everywhere except inside <style> elements (raw text for Svelte)
+export function escapeSvelteBraces(svg) {
+  return svg
+    .split(STYLE_ELEMENT_PATTERN)
+    .map((part, index) => (index % 2 === 1 ? part : part.replace(/{/g, "&#123;").replace(/}/g, "&#125;")))
+    .join("");
+}
+// vector-effect is not inherited, so nonScalingStroke has to be applied to every shape
+function withVectorEffect(svg) {
+  return svg.replace(
+    /<(path|circle|ellipse|line|polyline|polygon|rect)\b/g,
+    `<$1 vector-effect={nonScalingStroke ? 'non-scaling-stroke' : undefined}`
+  );
+}
+
+// --- Accessibility ---
+// Icons are decorative (aria-hidden) unless a title, desc or aria-label is given. A title or desc is
+// rendered as <title>/<desc> with ids derived from the instance id; the icon then becomes role="img",
+// labelled by those elements.
+export const A11Y_PROPS_INTERFACE = `    title?: string;
+    desc?: string;`;
+export const A11Y_MODULE_SCRIPT_LEGACY = `<script context="module" lang="ts">
+  let instanceCount = 0;
 </script>
-${optimizedSvg.replace(/<svg([^>]*)>/, (match, attributes) => {
+`;
+// The instance id starts with the component's id prefix (see getIconIdPrefix) to stay unique across icons.
+// In runes mode it comes from $props.id(), which the client reads back from the server markup on hydration:
+// "svg-icon-HomeSolid-s1". Legacy components count their instances per component ("svg-icon-HomeSolid-1");
+// on the server that counter spans every request, so hydration replaces the server's ids.
+export function instanceIdDeclaration(idPrefix = "svg-icon", runes = false) {
+  if (runes) {
+    return `const uid = $props.id();
+  const instanceId = '${idPrefix}-' + uid;`;
+  }
+  return `const instanceId = '${idPrefix}-' + ++instanceCount;`;
+}
+export const A11Y_LABELLED_BY_EXPRESSION = `[title && instanceId + '-title', desc && instanceId + '-desc'].filter(Boolean).join(' ') || undefined`;
+export function a11yLabelledExpression(restPropsName) {
+  return `Boolean(labelledBy || ${restPropsName}['aria-label'])`;
+}
+export const A11Y_ATTRIBUTES = `aria-hidden={labelled ? undefined : 'true'} role={labelled ? 'img' : undefined} aria-labelledby={labelledBy}`;
+export const A11Y_CHILDREN = `{#if title}<title id="{instanceId}-title">{title}</title>{/if}{#if desc}<desc id="{instanceId}-desc">{desc}</desc>{/if}`;
+
+// Injects the accessibility attributes, the extra props' attributes, the props spread and the computed
+// class into the root <svg> element, and the optional <title>/<desc> as its first children. A static
+// aria-hidden added by SVGO is replaced by the conditional one.
+function withSvgAttributes(optimizedSvg, spread, extraProps = []) {
+  return optimizedSvg.replace(/<svg([^>]*)>/, (match, attributes) => {
     const existingClassMatch = attributes.match(/class="([^"]*)"/);
     const existingClass = existingClassMatch ? existingClassMatch[1] : "";
     const combinedClass = (existingClass + ' ' + '{finalClass}').trim();
-    const newAttributes = attributes.replace(/class="([^"]*)"/, '').trim();
-    return `<svg ${newAttributes} {...$$props} class="${combinedClass}">`;
-  })}
-`;
-}
\ No newline at end of file
+    const isDecorative = /\saria-hidden="true"/.test(attributes);
+    const a11yAttributes = isDecorative
+      ? A11Y_ATTRIBUTES
+      : `role={labelled ? 'img' : undefined} aria-labelledby={labelledBy}`;
+    const newAttributes = attributes
+      .replace(/class="([^"]*)"/, '')
+      .replace(/\s*aria-hidden="true"/, '')
+      .trim();
+    const extraAttributes = extraProps
+      .filter((prop) => prop.rootAttribute)
+      .map((prop) => ` ${prop.rootAttribute}`)
+      .join("");
+    return `<svg ${newAttributes} ${a11yAttributes}${extraAttributes} ${spread} class="${combinedClass}">${A11Y_CHILDREN}`;
+  });
+}
@@ -1,62 +1,327 @@
 // src/templates/svgIconLoaderTemplate.js
-export function createSvgIconLoaderComponent() {
+export function createSvgIconLoaderComponent(options = {}) {
+    const { typeName = 'SvgName', componentsDir = 'components' } = options;
+    const variant = getVariantSupport(typeName, options.variants);
+    const deprecation = getDeprecationSupport(options.deprecations);
+    if (options.eager) {
+      return createEagerLoaderComponent(typeName, options.runes, variant, deprecation);
+    }
+    if (options.runes) {
+      return createRunesLoaderComponent(typeName, componentsDir, variant, deprecation);
+    }
     // typeFileNameBase will be like 'IconName' (without .ts)
-    return `<script lang="ts">
-    // Generated by svg-to-svelte-icons
-    import { type ComponentType, type SvelteComponent } from 'svelte';
-    import { type SvgName, iconMap } from './SvgName';
-    import type { SVGAttributes } from 'svelte/elements';
-  
-    export let name: SvgName;
-  
-    interface $$Props extends SVGAttributes<SVGSVGElement> {
-      name: SvgName;
+    return `<script context="module" lang="ts">
+  // Generated by svg-to-svelte-icons
+  import type { ComponentType, SvelteComponent } from 'svelte';
+  import { ${variant.imports}${deprecation.imports} } from './${typeName}';
+
+  ${createComponentCache(typeName, componentsDir, variant, "Map", "ComponentType<SvelteComponent>")}
+</script>
+
+<script lang="ts">
+  import { createEventDispatcher } from 'svelte';
+  import type { SVGAttributes } from 'svelte/elements';
+
+  export let name: ${typeName};${variant.legacyDeclaration}
+  export let fallback: ${typeName} | undefined = undefined;${deprecation.legacyStatement}
+
+  interface $$Props extends SVGAttributes<SVGSVGElement> {
+    name: ${typeName};${variant.propType}
+    fallback?: ${typeName};
+    title?: string;
+    desc?: string;
+    size?: number | string;
+  }
+  interface $$Events {
+    load: CustomEvent<{ name: ${typeName} }>;
+    error: CustomEvent<{ name: ${typeName}; error: unknown }>;
+  }
+  interface $$Slots {
+    loading: Record<string, never>;
+    error: { icon: ${typeName}; error: unknown };
+  }
+
+  const dispatch = createEventDispatcher<{ load: { name: ${typeName} }; error: { name: ${typeName}; error: unknown } }>();
+
+  let IconComponent: ComponentType<SvelteComponent> | null = null;
+  // Set once neither the icon nor its fallback could be loaded
+  let failure: { error: unknown } | null = null;
+  let lastRequest = 0;
+
+  $: fileName = name ? ${variant.lookup('name')} : undefined;
+  $: fallbackFileName = fallback ? ${variant.lookup('fallback')} : undefined;
+  $: showIcon(name, fileName, fallbackFileName);
+
+  // Cached icons show right away; the others show the loading slot until their chunk has loaded. Without a
+  // name nothing is shown.
+  async function showIcon(requestedName: ${typeName}, requestedFile: string | undefined, requestedFallback: string | undefined) {
+    const request = ++lastRequest;
+    IconComponent = (requestedFile && loadedComponents.get(requestedFile)) || null;
+    failure = null;
+    if (!requestedName) return;
+    try {
+      const component = await loadComponent(requestedFile);
+      if (request !== lastRequest) return;
+      IconComponent = component;
+      dispatch('load', { name: requestedName });
+    } catch (error) {
+      if (request !== lastRequest) return;
+      console.error(\`Failed to load Svelte icon component: \${requestedName}.svelte\`, error);
+      dispatch('error', { name: requestedName, error });
+      try {
+        if (!requestedFallback) throw error;
+        const component = await loadComponent(requestedFallback);
+        if (request === lastRequest) IconComponent = component;
+      } catch {
+        if (request === lastRequest) failure = { error };
+      }
     }
-  
-    let IconComponent: ComponentType<SvelteComponent> | null = null;
-    let componentLoaded = false;
-    let loadError = false;
-  
-    $: if (name) {
-      componentLoaded = false;
-      loadError = false;
-      IconComponent = null;
-  
-      const fileName = iconMap[name];
-      import(\`./components/\${fileName}.svelte\`)
-        .then((module) => {
-          if (module && module.default) {
-            IconComponent = module.default;
-          } else {
-            throw new Error('Invalid module structure');
-          }
-          componentLoaded = true;
-        })
-        .catch((error) => {
-          console.error(\`Failed to load Svelte icon component: \${name}.svelte\`, error);
-          loadError = true;
-          componentLoaded = true;
-        });
-    } else {
-      componentLoaded = true;
-      loadError = true;
+  }
+</script>
+
+{#if IconComponent}
+  <svelte:component this={IconComponent} {...$$restProps} />
+{:else if failure}
+  <slot name="error" icon={name} error={failure.error}>
+    <!-- Error Indicator -->
+    <span role="img" style="color: red; display: inline-block; width: 1em; height: 1em; vertical-align: -0.125em;">
+      <svg viewBox="0 0 24 24" fill="currentColor" style="width: 100%; height: 100%;">
+        <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/>
+      </svg>
+    </span>
+  </slot>
+{:else if name}
+  <slot name="loading">
+    <span style="display: inline-block; width: 1em; height: 1em; vertical-align: -0.125em;"></span>
+  </slot>
+{/if}
+`;
+  }
+
+// Svelte 5 (runes mode) variant: typed $props(), snippets and callback props instead of slots and
+// events, and the dynamic component rendered directly instead of through <svelte:component>.
+// The cache is a SvelteMap, so components read from it re-render once they have loaded.
+function createRunesLoaderComponent(typeName, componentsDir, variant, deprecation) {
+  return `<script module lang="ts">
+  // Generated by svg-to-svelte-icons
+  import type { Component } from 'svelte';
+  import { SvelteMap } from 'svelte/reactivity';
+  import type { SVGAttributes } from 'svelte/elements';
+  import { ${variant.imports}${deprecation.imports} } from './${typeName}';
+
+  ${createComponentCache(typeName, componentsDir, variant, "SvelteMap", "Component<SVGAttributes<SVGSVGElement>>")}
+</script>
+
+<script lang="ts">
+  import type { Snippet } from 'svelte';
+
+  interface Props extends Omit<SVGAttributes<SVGSVGElement>, 'onload' | 'onerror'> {
+    name: ${typeName};${variant.propType}
+    fallback?: ${typeName};
+    title?: string;
+    desc?: string;
+    size?: number | string;
+    loading?: Snippet;
+    error?: Snippet<[{ icon: ${typeName}; error: unknown }]>;
+    onload?: (detail: { name: ${typeName} }) => void;
+    onerror?: (detail: { name: ${typeName}; error: unknown }) => void;
+  }
+
+  let { name, ${variant.destructuring}fallback, loading, error: errorSnippet, onload, onerror, ...restProps }: Props = $props();${deprecation.runesStatement}
+
+  const fileName = $derived(name ? ${variant.lookup('name')} : undefined);
+  const fallbackFileName = $derived(fallback ? ${variant.lookup('fallback')} : undefined);
+  let usingFallback = $state(false);
+  // Set once neither the icon nor its fallback could be loaded
+  let failure: { error: unknown } | null = $state(null);
+  // Cached icons render synchronously. $effect never runs on the server, so during SSR only icons already
+  // in the cache (from preloadIcons()) render; the cache is module-level and shared by every SSR request.
+  const shownFileName = $derived(usingFallback ? fallbackFileName : fileName);
+  const IconComponent = $derived((shownFileName && loadedComponents.get(shownFileName)) || null);
+
+  $effect(() => {
+    const requestedName = name;
+    const requestedFile = fileName;
+    const requestedFallback = fallbackFileName;
+    let current = true;
+    usingFallback = false;
+    failure = null;
+    loadIcon(requestedName, requestedFile, requestedFallback, () => current);
+    return () => {
+      current = false;
+    };
+  });
+
+  async function loadIcon(
+    requestedName: ${typeName},
+    requestedFile: string | undefined,
+    requestedFallback: string | undefined,
+    isCurrent: () => boolean
+  ) {
+    if (!requestedName) return;
+    try {
+      await loadComponent(requestedFile);
+      if (isCurrent()) onload?.({ name: requestedName });
+    } catch (error) {
+      if (!isCurrent()) return;
+      console.error(\`Failed to load Svelte icon component: \${requestedName}.svelte\`, error);
+      onerror?.({ name: requestedName, error });
+      try {
+        if (!requestedFallback) throw error;
+        usingFallback = true;
+        await loadComponent(requestedFallback);
+      } catch {
+        if (isCurrent()) failure = { error };
+      }
     }
-  
-  </script>
-  
-  {#if componentLoaded}
-    {#if IconComponent && !loadError}
-      <svelte:component this={IconComponent} {...$$restProps} />
-    {:else if loadError}
-      <!-- Error Indicator -->
-      <span role="img" style="color: red; display: inline-block; width: 1em; height: 1em; vertical-align: -0.125em;">
-        <svg viewBox="0 0 24 24" fill="currentColor" style="width: 100%; height: 100%;">
-          <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/>
-        </svg>
-      </span>
-    {/if}
-  {:else if name}
+  }
+</script>
+
+{#if IconComponent}
+  <IconComponent {...restProps} />
+{:else if failure}
+  {#if errorSnippet}
+    {@render errorSnippet({ icon: name, error: failure.error })}
+  {:else}
+    <!-- Error Indicator -->
+    <span role="img" style="color: red; display: inline-block; width: 1em; height: 1em; vertical-align: -0.125em;">
+      <svg viewBox="0 0 24 24" fill="currentColor" style="width: 100%; height: 100%;">
+        <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/>
+      </svg>
+    </span>
+  {/if}
+{:else if name}
+  {#if loading}
+    {@render loading()}
+  {:else}
     <span style="display: inline-block; width: 1em; height: 1em; vertical-align: -0.125em;"></span>
   {/if}
-  `;
-  }
\ No newline at end of file
+{/if}
+`;
+}
+// Module-level cache of the lazy loaders, shared by every instance (and, on the server, by every request):
+// loaded components by file name, and one import() per component however many instances (or preloadIcons
+// calls) ask for it
+function createComponentCache(typeName, componentsDir, variant, mapClass, componentType) {
+  return `// Loaded components by file name, shared by every instance
+  const loadedComponents = new ${mapClass}<string, ${componentType}>();
+  const pendingComponents = new Map<string, Promise<${componentType}>>();
+
+  function loadComponent(fileName: string | undefined): Promise<${componentType}> {
+    if (!fileName) return Promise.reject(new Error('Unknown icon name'));
+    let pending = pendingComponents.get(fileName);
+    if (!pending) {
+      pending = import(\`./${componentsDir}/\${fileName}.svelte\`).then((module) => {
+        if (!module || !module.default) throw new Error('Invalid module structure');
+        loadedComponents.set(fileName, module.default);
+        return module.default;
+      });
+      pendingComponents.set(fileName, pending);
+      // A failed import is tried again the next time the icon is requested
+      pending.catch(() => pendingComponents.delete(fileName));
+    }
+    return pending;
+  }
+
+  // Loads icons ahead of time (e.g. before a route transition), so they render without a placeholder
+  export function preloadIcons(names: ${typeName}[]${variant.preloadParameter}): Promise<void> {
+    return Promise.allSettled(names.map((name) => loadComponent(${variant.lookup('name')}))).then(() => undefined);
+  }`;
+}
+
+// Eager variant: iconMap holds the imported components, so the icon renders during SSR and
+// no placeholder is shown while a chunk loads. preloadIcons() has nothing to do, but is exported all the
+// same so code written against the lazy loader keeps working.
+function createEagerLoaderComponent(typeName, runes, variant, deprecation) {
+  const preload = `export function preloadIcons(names: ${typeName}[]${variant.preloadParameter}): Promise<void> {
+    return Promise.resolve();
+  }`;
+  if (runes) {
+    return `<script module lang="ts">
+  // Generated by svg-to-svelte-icons
+  import { ${variant.imports}${deprecation.imports} } from './${typeName}';
+
+  ${preload}
+</script>
+
+<script lang="ts">
+  import type { SVGAttributes } from 'svelte/elements';
+
+  interface Props extends SVGAttributes<SVGSVGElement> {
+    name: ${typeName};${variant.propType}
+    title?: string;
+    desc?: string;
+    size?: number | string;
+  }
+
+  let { name, ${variant.destructuring}...restProps }: Props = $props();${deprecation.runesStatement}
+
+  const IconComponent = $derived(${variant.lookup('name')});
+</script>
+
+{#if IconComponent}
+  <IconComponent {...restProps} />
+{/if}
+`;
+  }
+  return `<script context="module" lang="ts">
+  // Generated by svg-to-svelte-icons
+  import { ${variant.imports}${deprecation.imports} } from './${typeName}';
+
+  ${preload}
+</script>
+
+<script lang="ts">
+  import type { SVGAttributes } from 'svelte/elements';
+
+  export let name: ${typeName};${variant.legacyDeclaration}${deprecation.legacyStatement}
+
+  interface $$Props extends SVGAttributes<SVGSVGElement> {
+    name: ${typeName};${variant.propType}
+    title?: string;
+    desc?: string;
+    size?: number | string;
+  }
+
+  $: IconComponent = ${variant.lookup('name')};
+</script>
+
+{#if IconComponent}
+  <svelte:component this={IconComponent} {...$$restProps} />
+{/if}
+`;
+}
+// With variants (--variants), the loader takes a `variant` prop and picks the component through the
+// resolveIcon() helper of the type file; otherwise it reads iconMap directly
+export function getVariantSupport(typeName, variants) {
+  if (!variants) {
+    return {
+      imports: `type ${typeName}, iconMap`,
+      lookup: (name) => `iconMap[${name}]`,
+      propType: "",
+      legacyDeclaration: "",
+      destructuring: "",
+      preloadParameter: "",
+    };
+  }
+  return {
+    imports: `type ${typeName}, type ${typeName}Variant, resolveIcon`,
+    lookup: (name) => `resolveIcon(${name}, variant)`,
+    propType: `\n    variant?: ${typeName}Variant;`,
+    legacyDeclaration: `\n  export let variant: ${typeName}Variant | undefined = undefined;`,
+    destructuring: "variant, ",
+    preloadParameter: `, variant?: ${typeName}Variant`,
+  };
+}
+// With deprecated names (`deprecated`), the loader passes every name to warnDeprecatedIcon() of the type
+// file, which warns once per deprecated name in development
+export function getDeprecationSupport(deprecations) {
+  if (!deprecations) {
+    return { imports: "", legacyStatement: "", runesStatement: "" };
+  }
+  return {
+    imports: ", warnDeprecatedIcon",
+    legacyStatement: "\n  $: warnDeprecatedIcon(name);",
+    runesStatement: "\n\n  $effect(() => warnDeprecatedIcon(name));",
+  };
+}
@@ -0,0 +1,85 @@
+// src/templates/svgSpriteTemplate.js
+import {
+  A11Y_ATTRIBUTES,
+  A11Y_CHILDREN,
+  A11Y_LABELLED_BY_EXPRESSION,
+  A11Y_MODULE_SCRIPT_LEGACY,
+  A11Y_PROPS_INTERFACE,
+  a11yLabelledExpression,
+  escapeSvelteBraces,
+  instanceIdDeclaration,
+} from "./svelteIconTemplate.js";
+import { getDeprecationSupport, getVariantSupport } from "./svgIconLoaderTemplate.js";
+// Icon component for sprite mode: renders <svg><use href="sprite.svg#id"/></svg>
+export function createSvgSpriteIconComponent(options = {}) {
+  const { typeName = 'SvgName', baseClass = '', spriteInline = false, spriteFileName = 'sprite.svg' } = options;
+  const spriteImport = spriteInline ? '' : `\n  import spriteUrl from './${spriteFileName}?url';`;
+  const variant = getVariantSupport(typeName, options.variants);
+  const deprecation = getDeprecationSupport(options.deprecations);
+  const symbolIdExpression = variant.lookup('name');
+  const hrefExpression = spriteInline ? `'#' + ${symbolIdExpression}` : `spriteUrl + '#' + ${symbolIdExpression}`;
+  // With variants, the view boxes are keyed by symbol id
+  const viewBoxExpression = options.variants ? `iconViewBoxes[${symbolIdExpression}]` : 'iconViewBoxes[name]';
+  const svgMarkup = (spread) => `<svg width={size} height={size} viewBox={${viewBoxExpression}} focusable="false" ${A11Y_ATTRIBUTES} ${spread} class={finalClass}>
+  ${A11Y_CHILDREN}
+  <use {href} />
+</svg>`;
+  if (options.runes) {
+    return `<script lang="ts">
+  // Generated by svg-to-svelte-icons
+  import type { SVGAttributes } from 'svelte/elements';
+  import { ${variant.imports}, iconViewBoxes${deprecation.imports} } from './${typeName}';${spriteImport}
+
+  interface Props extends SVGAttributes<SVGSVGElement> {
+    name: ${typeName};${variant.propType}
+${A11Y_PROPS_INTERFACE}
+    size?: number | string;
+  }
+
+  let { name, ${variant.destructuring}class: className = '', title, desc, size = '1em', ...restProps }: Props = $props();${deprecation.runesStatement}
+
+  const baseClassName = "${baseClass || ''}";
+  const finalClass = $derived((baseClassName + ' ' + (className || '')).trim());
+  const href = $derived(${hrefExpression});
+  ${instanceIdDeclaration(options.idPrefix, true)}
+  const labelledBy = $derived(${A11Y_LABELLED_BY_EXPRESSION});
+  const labelled = $derived(${a11yLabelledExpression('restProps')});
+</script>
+
+${svgMarkup('{...restProps}')}
+`;
+  }
+  return `${A11Y_MODULE_SCRIPT_LEGACY}
+<script lang="ts">
+  // Generated by svg-to-svelte-icons
+  import type { SVGAttributes } from 'svelte/elements';
+  import { ${variant.imports}, iconViewBoxes${deprecation.imports} } from './${typeName}';${spriteImport}
+
+  export let name: ${typeName};${variant.legacyDeclaration}
+  export let title: string | undefined = undefined;
+  export let desc: string | undefined = undefined;
+  export let size: number | string = '1em';${deprecation.legacyStatement}
+
+  interface $$Props extends SVGAttributes<SVGSVGElement> {
+    name: ${typeName};${variant.propType}
+${A11Y_PROPS_INTERFACE}
+    size?: number | string;
+  }
+
+  const baseClassName = "${baseClass || ''}";
+  $: finalClass = (baseClassName + ' ' + ($$restProps.class || '')).trim();
+  $: href = ${hrefExpression};
+  ${instanceIdDeclaration(options.idPrefix)}
+  $: labelledBy = ${A11Y_LABELLED_BY_EXPRESSION};
+  $: labelled = ${a11yLabelledExpression('$$restProps')};
+</script>
+
+${svgMarkup('{...$$restProps}')}
+`;
+}
+
+// Inline sprite component: render it once (e.g. in the root layout) when the sprite is not served by URL
+export function createSvgSpriteComponent(spriteMarkup) {
+  return `<!-- Generated by svg-to-svelte-icons. Render this component once, e.g. in your root layout. -->
+${escapeSvelteBraces(spriteMarkup)}`;
+}
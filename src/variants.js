@@ -0,0 +1,60 @@
+// src/variants.js
+import { getSourceFolders, sanitizeName } from "./sources.js";
+
+// "duo-tone" -> "DuoTone", appended to the component name of the icon
+export function getVariantComponentSuffix(variant) {
+  return sanitizeName(variant).componentName;
+}
+// The configured default variant, else the first configured variant, else the first variant found
+export function resolveDefaultVariant(iconSet, variants) {
+  return iconSet.defaultVariant || iconSet.variantNames[0] || [...variants].sort()[0] || null;
+}
+// Folder mode: the first folder below the input directory. Suffix mode: a "-<variant>" or "_<variant>"
+// ending of the file name, longest variant name first.
+function findSourceVariant(source, iconSet) {
+  if (iconSet.variants === "suffix") {
+    const variant = [...iconSet.variantNames]
+      .sort((a, b) => b.length - a.length)
+      .find(
+        (name) =>
+          (source.baseName.endsWith(`-${name}`) || source.baseName.endsWith(`_${name}`)) &&
+          source.baseName.length > name.length + 1
+      );
+    return variant ? { variant, baseName: source.baseName.slice(0, -(variant.length + 1)) } : null;
+  }
+  const [folder] = getSourceFolders(source, iconSet.input);
+  const names = folder && sanitizeName(folder);
+  return names ? { variant: names.baseName, baseName: source.baseName } : null;
+}
+// Splits every source into icon name (`baseName`) and `variant`, and gives it a component name per variant
+// (`home` in outline/ -> HomeOutline). Sources outside any variant belong to the default variant.
+export function applyVariants(sources, iconSet, knownVariants = []) {
+  if (!iconSet.variants) return sources;
+  const found = sources.map((source) => findSourceVariant(source, iconSet));
+  const variants = new Set([...knownVariants, ...found.filter(Boolean).map((match) => match.variant)]);
+  const defaultVariant = resolveDefaultVariant(iconSet, variants);
+  return sources.map((source, index) => {
+    const { variant, baseName } = found[index] || { variant: defaultVariant, baseName: source.baseName };
+    if (!variant) {
+      throw new Error(`Cannot tell the variant of ${source.origin}; set a default variant (defaultVariant).`);
+    }
+    const names = sanitizeName(baseName);
+    return {
+      ...source,
+      baseName: names.baseName,
+      componentName: `${names.componentName}${getVariantComponentSuffix(variant)}`,
+      variant,
+    };
+  });
+}
+// Reverse of applyVariants for a component name ("HomeOutline" -> { stem: "Home", variant: "outline" })
+export function splitVariantComponentName(componentName, variants) {
+  const variant = [...variants]
+    .sort((a, b) => b.length - a.length)
+    .find((name) => {
+      const suffix = getVariantComponentSuffix(name);
+      return componentName.endsWith(suffix) && componentName.length > suffix.length;
+    });
+  if (!variant) return null;
+  return { stem: componentName.slice(0, -getVariantComponentSuffix(variant).length), variant };
+}
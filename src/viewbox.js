@@ -0,0 +1,400 @@
+// src/viewbox.js
+import { optimize } from "svgo";
+
+// Subtrees that are only rendered through references (or not at all) do not count towards the bounds
+const NON_RENDERED_ELEMENTS = new Set([
+  "defs",
+  "clipPath",
+  "mask",
+  "marker",
+  "pattern",
+  "symbol",
+  "linearGradient",
+  "radialGradient",
+  "filter",
+  "title",
+  "desc",
+  "metadata",
+  "style",
+  "script",
+]);
+// Elements whose geometry cannot be measured from the markup alone
+const UNMEASURABLE_ELEMENTS = new Set(["text", "image", "use", "foreignObject", "switch", "svg"]);
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const ARC_SAMPLES = 32;
+const KAPPA = 0.5522847498; // control point distance of a quarter-circle cubic
+
+// --- Geometry Helpers ---
+function multiply([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1,
+  ];
+}
+function applyMatrix([a, b, c, d, e, f], [x, y]) {
+  return [a * x + c * y + e, b * x + d * y + f];
+}
+function parseTransform(transform = "") {
+  let matrix = IDENTITY;
+  for (const [, type, rawArgs] of transform.matchAll(/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g)) {
+    const args = rawArgs.trim().split(/[\s,]+/).map(Number);
+    let next;
+    if (type === "matrix") next = args;
+    else if (type === "translate") next = [1, 0, 0, 1, args[0], args[1] ?? 0];
+    else if (type === "scale") next = [args[0], 0, 0, args[1] ?? args[0], 0, 0];
+    else if (type === "skewX") next = [1, 0, Math.tan((args[0] * Math.PI) / 180), 1, 0, 0];
+    else if (type === "skewY") next = [1, Math.tan((args[0] * Math.PI) / 180), 0, 1, 0, 0];
+    else {
+      const angle = (args[0] * Math.PI) / 180;
+      const [cx = 0, cy = 0] = args.slice(1);
+      const rotation = [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0];
+      next = multiply(multiply([1, 0, 0, 1, cx, cy], rotation), [1, 0, 0, 1, -cx, -cy]);
+    }
+    matrix = multiply(matrix, next);
+  }
+  return matrix;
+}
+// Extremes of a cubic Bézier along one axis: the roots of its derivative within (0, 1)
+function cubicExtremes(p0, p1, p2, p3) {
+  const a = -p0 + 3 * p1 - 3 * p2 + p3;
+  const b = 2 * (p0 - 2 * p1 + p2);
+  const c = p1 - p0;
+  const roots = [];
+  if (Math.abs(a) < 1e-12) {
+    if (Math.abs(b) > 1e-12) roots.push(-c / b);
+  } else {
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant >= 0) {
+      roots.push((-b + Math.sqrt(discriminant)) / (2 * a), (-b - Math.sqrt(discriminant)) / (2 * a));
+    }
+  }
+  return roots
+    .filter((t) => t > 0 && t < 1)
+    .map((t) => (1 - t) ** 3 * p0 + 3 * (1 - t) ** 2 * t * p1 + 3 * (1 - t) * t ** 2 * p2 + t ** 3 * p3);
+}
+// Points along an elliptical arc, following the endpoint-to-center conversion of the SVG spec
+function arcPoints([x1, y1], rx, ry, rotationDegrees, largeArc, sweep, [x2, y2]) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) return [[x2, y2]];
+  const phi = (rotationDegrees * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+  const radiiScale = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (radiiScale > 1) {
+    rx *= Math.sqrt(radiiScale);
+    ry *= Math.sqrt(radiiScale);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = (coefficient * rx * y1p) / ry;
+  const cyp = (-coefficient * ry * x1p) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const startAngle = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let sweepAngle = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && sweepAngle > 0) sweepAngle -= 2 * Math.PI;
+  if (sweep && sweepAngle < 0) sweepAngle += 2 * Math.PI;
+  const points = [];
+  for (let index = 1; index <= ARC_SAMPLES; index++) {
+    const theta = startAngle + (sweepAngle * index) / ARC_SAMPLES;
+    const x = rx * Math.cos(theta);
+    const y = ry * Math.sin(theta);
+    points.push([cosPhi * x - sinPhi * y + cx, sinPhi * x + cosPhi * y + cy]);
+  }
+  return points;
+}
+
+// --- Path Data ---
+const NUMBER_PATTERN = /[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/y;
+// Splits path data into segments: ["line", p0, p1] or ["cubic", p0, c1, c2, p1]. Arcs become lines
+// through sampled points; quadratic curves are raised to cubics.
+function parsePathSegments(d) {
+  let index = 0;
+  const skipSeparators = () => {
+    while (index < d.length && /[\s,]/.test(d[index])) index++;
+  };
+  const hasNumber = () => {
+    skipSeparators();
+    return index < d.length && /[-+.\d]/.test(d[index]);
+  };
+  const readNumber = () => {
+    skipSeparators();
+    NUMBER_PATTERN.lastIndex = index;
+    const match = NUMBER_PATTERN.exec(d);
+    if (!match) throw new Error(`Invalid path data near "${d.slice(index, index + 10)}".`);
+    index = NUMBER_PATTERN.lastIndex;
+    return Number(match[0]);
+  };
+  // Arc flags may be written without separators ("a1 1 0 011 1")
+  const readFlag = () => {
+    skipSeparators();
+    const flag = d[index++];
+    if (flag !== "0" && flag !== "1") throw new Error(`Invalid arc flag in path data near "${d.slice(index - 1, index + 9)}".`);
+    return flag === "1";
+  };
+  const segments = [];
+  let current = [0, 0];
+  let subpathStart = [0, 0];
+  let lastCubicControl = null;
+  let lastQuadraticControl = null;
+  let command = null;
+  skipSeparators();
+  while (index < d.length) {
+    if (/[a-zA-Z]/.test(d[index])) {
+      command = d[index++];
+    } else if (!command || !hasNumber()) {
+      throw new Error(`Invalid path data near "${d.slice(index, index + 10)}".`);
+    }
+    const relative = command === command.toLowerCase();
+    const point = () => {
+      const x = readNumber();
+      const y = readNumber();
+      return relative ? [current[0] + x, current[1] + y] : [x, y];
+    };
+    const type = command.toUpperCase();
+    let nextCubicControl = null;
+    let nextQuadraticControl = null;
+    if (type === "Z") {
+      segments.push(["line", current, subpathStart]);
+      current = subpathStart;
+      command = null; // closepath takes no parameters, so it cannot repeat implicitly
+    } else if (type === "M") {
+      current = subpathStart = point();
+      command = relative ? "l" : "L"; // further coordinate pairs are implicit lineto commands
+    } else if (type === "L") {
+      const end = point();
+      segments.push(["line", current, end]);
+      current = end;
+    } else if (type === "H" || type === "V") {
+      const value = readNumber();
+      const axis = type === "H" ? 0 : 1;
+      const end = [...current];
+      end[axis] = relative ? current[axis] + value : value;
+      segments.push(["line", current, end]);
+      current = end;
+    } else if (type === "C" || type === "S") {
+      const control1 =
+        type === "C"
+          ? point()
+          : lastCubicControl
+            ? [2 * current[0] - lastCubicControl[0], 2 * current[1] - lastCubicControl[1]]
+            : current;
+      const control2 = point();
+      const end = point();
+      segments.push(["cubic", current, control1, control2, end]);
+      nextCubicControl = control2;
+      current = end;
+    } else if (type === "Q" || type === "T") {
+      const control =
+        type === "Q"
+          ? point()
+          : lastQuadraticControl
+            ? [2 * current[0] - lastQuadraticControl[0], 2 * current[1] - lastQuadraticControl[1]]
+            : current;
+      const end = point();
+      const towardsControl = (from) => [from[0] + (2 / 3) * (control[0] - from[0]), from[1] + (2 / 3) * (control[1] - from[1])];
+      segments.push(["cubic", current, towardsControl(current), towardsControl(end), end]);
+      nextQuadraticControl = control;
+      current = end;
+    } else if (type === "A") {
+      const rx = readNumber();
+      const ry = readNumber();
+      const rotation = readNumber();
+      const largeArc = readFlag();
+      const sweep = readFlag();
+      const end = point();
+      let previous = current;
+      for (const arcPoint of arcPoints(current, rx, ry, rotation, largeArc, sweep, end)) {
+        segments.push(["line", previous, arcPoint]);
+        previous = arcPoint;
+      }
+      current = end;
+    } else {
+      throw new Error(`Unknown path command "${command}".`);
+    }
+    lastCubicControl = nextCubicControl;
+    lastQuadraticControl = nextQuadraticControl;
+    skipSeparators();
+  }
+  return segments;
+}
+
+// --- Shapes ---
+function number(value, fallback = 0) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+function ellipseSegments(cx, cy, rx, ry) {
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  return [
+    ["cubic", [cx + rx, cy], [cx + rx, cy + ky], [cx + kx, cy + ry], [cx, cy + ry]],
+    ["cubic", [cx, cy + ry], [cx - kx, cy + ry], [cx - rx, cy + ky], [cx - rx, cy]],
+    ["cubic", [cx - rx, cy], [cx - rx, cy - ky], [cx - kx, cy - ry], [cx, cy - ry]],
+    ["cubic", [cx, cy - ry], [cx + kx, cy - ry], [cx + rx, cy - ky], [cx + rx, cy]],
+  ];
+}
+function polylineSegments(pointsAttribute, closed) {
+  const values = (pointsAttribute.match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+  const points = [];
+  for (let index = 0; index + 1 < values.length; index += 2) points.push([values[index], values[index + 1]]);
+  const segments = points.map((point, index) => ["line", points[index - 1] ?? point, point]);
+  if (closed && points.length > 1) segments.push(["line", points[points.length - 1], points[0]]);
+  return segments;
+}
+function getShapeSegments(node) {
+  const attributes = node.attributes;
+  switch (node.name) {
+    case "path":
+      return parsePathSegments(attributes.d || "");
+    case "rect": {
+      const x = number(attributes.x);
+      const y = number(attributes.y);
+      const width = number(attributes.width);
+      const height = number(attributes.height);
+      if (width <= 0 || height <= 0) return [];
+      return polylineSegments(`${x},${y} ${x + width},${y} ${x + width},${y + height} ${x},${y + height}`, true);
+    }
+    case "circle": {
+      const r = number(attributes.r);
+      return r > 0 ? ellipseSegments(number(attributes.cx), number(attributes.cy), r, r) : [];
+    }
+    case "ellipse": {
+      const rx = number(attributes.rx);
+      const ry = number(attributes.ry);
+      return rx > 0 && ry > 0 ? ellipseSegments(number(attributes.cx), number(attributes.cy), rx, ry) : [];
+    }
+    case "line":
+      return [["line", [number(attributes.x1), number(attributes.y1)], [number(attributes.x2), number(attributes.y2)]]];
+    case "polyline":
+    case "polygon":
+      return polylineSegments(attributes.points || "", node.name === "polygon");
+    default:
+      return null;
+  }
+}
+// Style declarations take precedence over presentation attributes
+function getPresentationValue(node, property) {
+  const declaration = (node.attributes.style || "")
+    .split(";")
+    .map((part) => part.split(":"))
+    .find(([name]) => name && name.trim() === property);
+  return declaration ? declaration.slice(1).join(":").trim() : node.attributes[property];
+}
+
+// Bounds of everything the SVG paints, in the coordinate system of its root element, including half the
+// stroke width of stroked shapes. Returns null when nothing is painted.
+export function getContentBounds(svg) {
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  const stack = [];
+  let error = null;
+  optimize(svg, {
+    plugins: [
+      {
+        name: "svelteSvgGenBounds",
+        fn: () => ({
+          element: {
+            enter: (node) => {
+              const parent = stack[stack.length - 1];
+              const state = parent
+                ? {
+                    matrix: multiply(parent.matrix, parseTransform(node.attributes.transform)),
+                    hidden: parent.hidden || NON_RENDERED_ELEMENTS.has(node.name),
+                    stroke: getPresentationValue(node, "stroke") ?? parent.stroke,
+                    strokeWidth: getPresentationValue(node, "stroke-width") ?? parent.strokeWidth,
+                  }
+                : {
+                    matrix: IDENTITY,
+                    hidden: false,
+                    stroke: getPresentationValue(node, "stroke") ?? "none",
+                    strokeWidth: getPresentationValue(node, "stroke-width") ?? "1",
+                  };
+              stack.push(state);
+              if (state.hidden || !parent || error) return;
+              if (UNMEASURABLE_ELEMENTS.has(node.name)) {
+                error = new Error(`Cannot measure the bounds of <${node.name}> elements.`);
+                return;
+              }
+              let segments;
+              try {
+                segments = getShapeSegments(node);
+              } catch (parseError) {
+                error = parseError;
+                return;
+              }
+              if (!segments || segments.length === 0) return;
+              const [a, b, c, d] = state.matrix;
+              const strokeExtent =
+                state.stroke && state.stroke !== "none"
+                  ? (number(state.strokeWidth, 1) / 2) * Math.sqrt(Math.abs(a * d - b * c))
+                  : 0;
+              const include = (x, y) => {
+                bounds.minX = Math.min(bounds.minX, x - strokeExtent);
+                bounds.minY = Math.min(bounds.minY, y - strokeExtent);
+                bounds.maxX = Math.max(bounds.maxX, x + strokeExtent);
+                bounds.maxY = Math.max(bounds.maxY, y + strokeExtent);
+              };
+              for (const [type, ...points] of segments) {
+                const transformed = points.map((point) => applyMatrix(state.matrix, point));
+                include(...transformed[0]);
+                include(...transformed[transformed.length - 1]);
+                if (type === "cubic") {
+                  const xs = transformed.map(([x]) => x);
+                  const ys = transformed.map(([, y]) => y);
+                  for (const x of cubicExtremes(...xs)) include(x, ys[0]);
+                  for (const y of cubicExtremes(...ys)) include(xs[0], y);
+                }
+              }
+            },
+            exit: () => {
+              stack.pop();
+            },
+          },
+        }),
+      },
+    ],
+  });
+  if (error) throw error;
+  return Number.isFinite(bounds.minX) ? bounds : null;
+}
+function round(value) {
+  return String(Number(value.toFixed(4)));
+}
+// Crops the SVG to its content bounds and scales the content onto a `gridSize` square viewBox, leaving
+// `padding` grid units free on every side. The root width/height are dropped.
+export function normalizeViewBox(svg, gridSize, padding = 0) {
+  const available = gridSize - 2 * padding;
+  if (!(available > 0)) {
+    throw new Error(`The viewBox padding (${padding}) leaves no room on a ${gridSize} grid.`);
+  }
+  const bounds = getContentBounds(svg);
+  if (!bounds) {
+    throw new Error("The SVG has no visible content to normalize.");
+  }
+  const width = bounds.maxX - bounds.minX;
+  const height = bounds.maxY - bounds.minY;
+  if (width === 0 && height === 0) {
+    throw new Error("The SVG content has no extent to normalize.");
+  }
+  const scale = available / Math.max(width, height);
+  const translateX = padding + (available - width * scale) / 2 - bounds.minX * scale;
+  const translateY = padding + (available - height * scale) / 2 - bounds.minY * scale;
+  const match = svg.match(/^(\s*<svg\b)([^>]*)>([\s\S]*)<\/svg>\s*$/);
+  if (!match) {
+    throw new Error("The SVG has no <svg> root element with content.");
+  }
+  const attributes = match[2].replace(/\s(width|height|viewBox)="[^"]*"/g, "");
+  const transform = `matrix(${[scale, 0, 0, scale, translateX, translateY].map(round).join(" ")})`;
+  return `${match[1]}${attributes} viewBox="0 0 ${gridSize} ${gridSize}"><g transform="${transform}">${match[3]}</g></svg>`;
+}
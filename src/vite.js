@@ -0,0 +1,84 @@
+// src/vite.js
+import kleur from "kleur";
+import { SCRIPT_NAME, resolveGenerationTargets } from "./config.js";
+import { resolveInputSources } from "./sources.js";
+import { generateIconSet } from "./generator.js";
+import { createIconSetWatchHandler } from "./watch.js";
+
+// Forwards warnings and errors (and, when verbose, everything) to Vite's logger
+function createViteLogger(viteLogger, verbose) {
+  const format = (args) => args.map((arg) => (arg instanceof Error ? arg.message : String(arg))).join(" ");
+  return {
+    log: (...args) => verbose && viteLogger.info(format(args), { timestamp: true }),
+    warn: (...args) => viteLogger.warn(format(args), { timestamp: true }),
+    error: (...args) => viteLogger.error(format(args), { timestamp: true }),
+  };
+}
+
+/**
+ * Vite plugin that generates the icons at `buildStart` and, in dev, regenerates them as source SVGs
+ * are added, changed or deleted.
+ *
+ * @param {object} [options] Same options as `generateIcons` (inline set options or `config`/`set`).
+ *   Conflicts are overwritten unless `onConflict` says otherwise; duplicate icons are kept unless
+ *   `onDuplicate` is "alias".
+ * @param {boolean} [options.verbose] Forward the full generation log to Vite's logger.
+ * @returns {import("vite").Plugin}
+ */
+export function svelteSvgGen(options = {}) {
+  const { verbose = false, logger: customLogger, onConflict = "overwrite", onDuplicate = "keep", ...targetOptions } = options;
+  let root = process.cwd();
+  let logger = customLogger;
+  let server = null;
+  // Watch handlers registered by the last buildStart
+  let watchHandlers = [];
+  return {
+    name: SCRIPT_NAME,
+    configResolved(config) {
+      root = config.root;
+      logger ??= createViteLogger(config.logger, verbose);
+    },
+    configureServer(devServer) {
+      server = devServer;
+    },
+    async buildStart() {
+      // A rebuild on the same server replaces the handlers of the previous run instead of adding to them
+      for (const handleEvent of watchHandlers) server?.watcher.off("all", handleEvent);
+      watchHandlers = [];
+      const targets = await resolveGenerationTargets({ cwd: root, ...targetOptions }, logger);
+      for (const { iconSet, svelteTarget } of targets) {
+        const sources = await resolveInputSources(iconSet.input, logger);
+        if (sources.length > 0) {
+          const result = await generateIconSet(sources, iconSet, svelteTarget, `Files/URLs: ${iconSet.input.join(", ")}`, {
+            onConflict,
+            onDuplicate,
+            logger,
+          });
+          const setLabel = iconSet.name ? ` (${iconSet.name})` : "";
+          logger.log(
+            kleur.cyan(`${SCRIPT_NAME}${setLabel}:`),
+            `${result.generated.length} generated, ${result.skipped.length} skipped, ${result.failed.length} failed`
+          );
+          if (result.failed.length > 0) {
+            this.warn(
+              `${SCRIPT_NAME}${setLabel}: failed to generate ${result.failed.map((icon) => icon.origin).join(", ")}`
+            );
+          }
+          for (const violation of result.overBudget) {
+            this.warn(`${SCRIPT_NAME}${setLabel}: over budget, ${violation.message}`);
+          }
+        }
+        if (server) {
+          const handler = await createIconSetWatchHandler(iconSet, svelteTarget, sources, logger);
+          if (handler) {
+            server.watcher.add(handler.watchPaths);
+            server.watcher.on("all", handler.handleEvent);
+            watchHandlers.push(handler.handleEvent);
+          }
+        }
+      }
+    },
+  };
+}
+
+export default svelteSvgGen;
@@ -0,0 +1,273 @@
+// src/watch.js
+import fs from "fs-extra";
+import path from "path";
+import kleur from "kleur";
+import chokidar from "chokidar";
+import { isUrl, loadSvgoConfiguration } from "./config.js";
+import { createFileSources, readSvgSource, resolveInputSources } from "./sources.js";
+import {
+  assignComponentVariants,
+  createIconPreview,
+  getCurrentIconsFromComponents,
+  optimizeSpriteSource,
+  renderIconComponent,
+  writeAggregateFiles,
+  writePreviewFiles,
+} from "./generator.js";
+import {
+  createManifestEntry,
+  getTemplateFingerprint,
+  hashSourceContent,
+  hashSvgoConfig,
+  isAliasedSource,
+  loadManifest,
+  saveManifest,
+} from "./manifest.js";
+import { generateSpriteSet } from "./sprite.js";
+import { applyNaming } from "./naming.js";
+import { getIconIdPrefix, prefixIds } from "./ids.js";
+import { isIconifyInput, parseIconifyInput } from "./iconify.js";
+export const WATCH_DEBOUNCE_MS = 150;
+// Creates the incremental regeneration logic for an icon set. Feed file events to `handleEvent`
+// (chokidar's "all" signature); they are debounced and only the changed SVGs are processed.
+export async function createIconSetWatchHandler(iconSet, svelteTarget, initialSources, logger = console) {
+  const cwd = process.cwd();
+  const iconsComponentDir = path.join(iconSet.output, iconSet.componentsDir);
+  const watchPaths = iconSet.input
+    .map((input) => parseIconifyInput(input).location)
+    .filter((location) => !isUrl(location))
+    .map((location) => path.resolve(cwd, location));
+  // Local Iconify collections, by path: a change re-reads the whole collection
+  const collectionInputs = new Map(
+    iconSet.input
+      .filter((input) => isIconifyInput(input) && !isUrl(input))
+      .map((input) => [path.resolve(cwd, parseIconifyInput(input).location), input])
+  );
+  if (watchPaths.length === 0) {
+    logger.warn(kleur.yellow(`⚠ No local inputs to watch${iconSet.name ? ` for icon set "${iconSet.name}"` : ""}.`));
+    return null;
+  }
+  const svgoConfig = await loadSvgoConfiguration(iconSet.svgoConfig, logger, iconSet.preset);
+  const fingerprints = {
+    svgoConfigHash: hashSvgoConfig(svgoConfig),
+    templateVersion: getTemplateFingerprint(iconSet, svelteTarget),
+  };
+  const initialNamedSources = applyNaming(initialSources, iconSet);
+  const knownVariants = initialNamedSources.map((source) => source.variant).filter(Boolean);
+  // Which components each watched file produces (several for a sprite sheet), so deletions and name clashes
+  // can be resolved
+  const componentNamesByPath = new Map();
+  for (const source of initialNamedSources) {
+    if (source.type !== "file" && source.type !== "symbol") continue;
+    componentNamesByPath.set(source.path, [...(componentNamesByPath.get(source.path) || []), source.componentName]);
+  }
+  // Current source of each component, for the gallery and the Iconify export, which list every icon. As in
+  // generateIconSet, the first source of a component name wins.
+  const sourcesByComponentName = new Map();
+  for (const source of initialNamedSources) {
+    if (!sourcesByComponentName.has(source.componentName)) sourcesByComponentName.set(source.componentName, source);
+  }
+  const hasPreviewFiles = Boolean(iconSet.gallery || iconSet.exportIconify);
+  const findGeneratingPath = (componentName, exceptPath) =>
+    [...componentNamesByPath.entries()].find(
+      ([otherPath, componentNames]) => otherPath !== exceptPath && componentNames.includes(componentName)
+    )?.[0];
+  const pendingChanges = new Map();
+  let debounceTimer = null;
+  let flushQueue = Promise.resolve();
+
+  // Renders one source into its component and records it in the manifest; false when it failed. A changed
+  // source of an alias (see generateIconSet's onDuplicate) becomes a component again.
+  const writeComponent = async (source, sourceHash, manifest, event) => {
+    const outputSveltePath = path.join(iconsComponentDir, `${source.componentName}.svelte`);
+    try {
+      const { content, stats, markupHash } = await renderIconComponent(source, svgoConfig, iconSet.baseClass, svelteTarget, iconSet, logger);
+      await fs.ensureDir(iconsComponentDir);
+      await fs.writeFile(outputSveltePath, content, "utf-8");
+      manifest.icons[source.componentName] = createManifestEntry(source, sourceHash, fingerprints, iconSet, stats, markupHash);
+      delete manifest.aliases[source.baseName];
+      sourcesByComponentName.set(source.componentName, source);
+      logger.log(
+        kleur.green(event === "add" ? `  ✔ Generated:` : `  ✔ Updated:`),
+        kleur.dim(`${path.relative(cwd, outputSveltePath)} (from ${source.origin})`)
+      );
+      return true;
+    } catch (error) {
+      logger.error(kleur.red(`  ✖ Error processing ${source.origin}:`), error.message);
+      return false;
+    }
+  };
+  // Deletes the components no watched file produces anymore; returns how many were removed
+  const removeComponents = async (componentNames, manifest, reason) => {
+    let removed = 0;
+    for (const componentName of componentNames) {
+      if (findGeneratingPath(componentName)) continue;
+      try {
+        await fs.remove(path.join(iconsComponentDir, `${componentName}.svelte`));
+        delete manifest.icons[componentName];
+        sourcesByComponentName.delete(componentName);
+        removed++;
+        logger.log(kleur.yellow(`  🗑 Removed:`), kleur.dim(`${componentName}.svelte (${reason})`));
+      } catch (error) {
+        logger.error(kleur.red(`  ✖ Error removing ${componentName}.svelte:`), error.message);
+      }
+    }
+    return removed;
+  };
+  // Rewrites the gallery and the Iconify export from the markup of every current component (aliases have none)
+  const updatePreviewFiles = async (manifest) => {
+    const previews = new Map();
+    const quietLogger = { ...logger, warn() {} };
+    for (const [componentName, source] of sourcesByComponentName) {
+      if (!manifest.icons[componentName]) continue;
+      try {
+        const { markup } = await renderIconComponent(source, svgoConfig, iconSet.baseClass, svelteTarget, iconSet, quietLogger);
+        previews.set(componentName, createIconPreview(source, markup));
+      } catch (error) {
+        logger.error(kleur.red(`  ✖ Error processing ${source.origin}:`), error.message);
+      }
+    }
+    await writePreviewFiles(previews, iconSet, logger);
+  };
+  const flushChanges = async () => {
+    const changes = [...pendingChanges.entries()];
+    pendingChanges.clear();
+    let aggregatesStale = false;
+    logger.log(kleur.magenta(`\n↻ ${changes.length} SVG change(s) detected${iconSet.name ? ` in icon set "${iconSet.name}"` : ""}:`));
+    if (iconSet.mode === "sprite") {
+      // Every change affects the single sprite, so rebuild it from all current sources
+      const sources = applyNaming(await resolveInputSources(iconSet.input, logger), iconSet);
+      const previews = new Map();
+      const result = await generateSpriteSet(
+        sources,
+        iconSet,
+        async (source) => {
+          const svg = await optimizeSpriteSource(source, svgoConfig, iconSet, logger);
+          previews.set(source.componentName, createIconPreview(source, prefixIds(svg, getIconIdPrefix(source.componentName))));
+          return svg;
+        },
+        logger
+      );
+      if (result.icons.length > 0) {
+        await writeAggregateFiles(result.icons, iconSet, svelteTarget, "Updated", logger);
+        await writePreviewFiles(previews, iconSet, logger);
+      }
+      return;
+    }
+    const manifest = await loadManifest(iconSet, logger);
+    let manifestStale = false;
+    for (const [filePath, event] of changes) {
+      const relativePath = path.relative(cwd, filePath);
+      if (event === "unlink") {
+        const componentNames = componentNamesByPath.get(filePath) || [];
+        componentNamesByPath.delete(filePath);
+        if (await removeComponents(componentNames, manifest, `source ${relativePath} deleted`)) {
+          aggregatesStale = true;
+          manifestStale = true;
+        }
+        continue;
+      }
+      if (collectionInputs.has(filePath)) {
+        // Icons the collection still has are regenerated when they changed; removed ones are left for --prune
+        const collectionSources = applyNaming(await resolveInputSources([collectionInputs.get(filePath)], logger), iconSet, knownVariants);
+        for (const source of collectionSources) {
+          const sourceHash = hashSourceContent(await readSvgSource(source));
+          if (manifest.icons[source.componentName]?.sourceHash === sourceHash) continue;
+          if (isAliasedSource(manifest, source, sourceHash, iconSet)) continue;
+          if (await writeComponent(source, sourceHash, manifest, manifest.icons[source.componentName] ? "change" : "add")) {
+            manifestStale = true;
+            aggregatesStale = true;
+          }
+        }
+        continue;
+      }
+      const sources = applyNaming(await createFileSources(filePath, relativePath, logger), iconSet, knownVariants);
+      const previousComponentNames = componentNamesByPath.get(filePath) || [];
+      const componentNames = [];
+      for (const source of sources) {
+        const clashingPath = findGeneratingPath(source.componentName, filePath);
+        if (clashingPath) {
+          logger.warn(
+            kleur.yellow(
+              `  ⚠ Skipping ${source.origin}: component name "${source.componentName}" is already generated from ${path.relative(cwd, clashingPath)}.`
+            )
+          );
+          continue;
+        }
+        componentNames.push(source.componentName);
+        try {
+          const sourceHash = hashSourceContent(await readSvgSource(source));
+          // Saving a sprite sheet only regenerates the symbols that changed
+          const existingEntry = manifest.icons[source.componentName];
+          if (source.type === "symbol" && existingEntry?.sourceHash === sourceHash) continue;
+          if (isAliasedSource(manifest, source, sourceHash, iconSet)) continue;
+          if (manifest.aliases[source.baseName]) aggregatesStale = true;
+          const sourceEvent = source.type === "symbol" ? (existingEntry ? "change" : "add") : event;
+          if (await writeComponent(source, sourceHash, manifest, sourceEvent)) manifestStale = true;
+        } catch (error) {
+          logger.error(kleur.red(`  ✖ Error reading ${source.origin}:`), error.message);
+        }
+      }
+      componentNamesByPath.set(filePath, componentNames);
+      if (componentNames.join() !== previousComponentNames.join()) aggregatesStale = true;
+      const droppedComponentNames = previousComponentNames.filter((componentName) => !componentNames.includes(componentName));
+      if (await removeComponents(droppedComponentNames, manifest, `no longer in ${relativePath}`)) manifestStale = true;
+    }
+    if (manifestStale) {
+      await saveManifest(iconSet, manifest, logger);
+    }
+    if (aggregatesStale) {
+      const icons = assignComponentVariants(await getCurrentIconsFromComponents(iconsComponentDir, logger), iconSet, manifest);
+      if (icons.length === 0) {
+        logger.warn(kleur.yellow("  No components left in the directory. Skipping loader and types generation."));
+      } else {
+        await writeAggregateFiles(icons, iconSet, svelteTarget, "Updated", logger);
+      }
+    }
+    if (hasPreviewFiles && (manifestStale || aggregatesStale)) {
+      await updatePreviewFiles(manifest);
+    }
+  };
+
+  const isWatchedPath = (filePath) =>
+    watchPaths.some((watchPath) => filePath === watchPath || filePath.startsWith(watchPath + path.sep));
+  const handleEvent = (event, filePath) => {
+    const absolutePath = path.resolve(cwd, filePath);
+    const isCollection = collectionInputs.has(absolutePath);
+    if (
+      !["add", "change", "unlink"].includes(event) ||
+      (!absolutePath.toLowerCase().endsWith(".svg") && !isCollection) ||
+      !isWatchedPath(absolutePath)
+    ) {
+      return;
+    }
+    // Only the latest event per file matters (e.g. unlink + add from an editor's atomic save)
+    pendingChanges.set(absolutePath, event);
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      flushQueue = flushQueue
+        .then(flushChanges)
+        .catch((error) => logger.error(kleur.red(`✖ Error while regenerating watched icons:`), error));
+    }, WATCH_DEBOUNCE_MS);
+  };
+  return { watchPaths, handleEvent };
+}
+// Keeps watching the local inputs of an icon set and regenerates only the SVGs that changed
+export async function watchIconSet(iconSet, svelteTarget, initialSources, logger = console) {
+  const handler = await createIconSetWatchHandler(iconSet, svelteTarget, initialSources, logger);
+  if (!handler) {
+    return null;
+  }
+  const watcher = chokidar.watch(handler.watchPaths, {
+    ignoreInitial: true,
+    ignored: /(^|[\/\\])node_modules([\/\\]|$)/,
+    awaitWriteFinish: { stabilityThreshold: 100, pollInterval: 20 },
+  });
+  watcher.on("all", handler.handleEvent);
+  watcher.on("error", (error) => logger.error(kleur.red(`✖ Watcher error:`), error.message));
+  logger.log(
+    kleur.cyan(`👀 Watching for SVG changes in:`),
+    kleur.dim(handler.watchPaths.map((watchPath) => path.relative(process.cwd(), watchPath) || ".").join(", "))
+  );
+  return watcher;
+}
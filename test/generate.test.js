@@ -0,0 +1,100 @@
+// test/generate.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { checkIcons, generateIcons } from "../src/index.js";
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M3 12l9-9 9 9v9H3z"/></svg>';
+const STAR_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M12 2l3 7h7l-6 4 2 7-6-4-6 4 2-7-6-4h7z"/></svg>';
+
+// A project with an `icons` input directory holding the given SVGs and an `out` output directory
+async function createProject(t, svgs) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "svelte-svg-gen-"));
+  t.after(() => fs.remove(dir));
+  for (const [name, svg] of Object.entries(svgs)) {
+    await fs.outputFile(path.join(dir, "icons", `${name}.svg`), svg);
+  }
+  return {
+    dir,
+    options: { input: [path.join(dir, "icons")], output: path.join(dir, "out"), svelte: 5 },
+    file: (...parts) => path.join(dir, ...parts),
+  };
+}
+
+test("generateIcons writes the components, the type file, the loader and the manifest", async (t) => {
+  const project = await createProject(t, { home: HOME_SVG, star: STAR_SVG });
+  const result = await generateIcons(project.options);
+  assert.deepEqual(result.failed, []);
+  assert.deepEqual(result.generated.map((icon) => icon.componentName).sort(), ["Home", "Star"]);
+  assert.ok(await fs.pathExists(project.file("out", "components", "Home.svelte")));
+  assert.ok(await fs.pathExists(project.file("out", "SvgIcon.svelte")));
+  assert.ok(await fs.pathExists(project.file("out", "svg-icons.manifest.json")));
+  const typeFile = await fs.readFile(project.file("out", "SvgName.ts"), "utf-8");
+  assert.match(typeFile, /\| 'home'/);
+  assert.match(typeFile, /\| 'star'/);
+});
+
+test("generateIcons skips icons the manifest records as unchanged and regenerates changed ones", async (t) => {
+  const project = await createProject(t, { home: HOME_SVG, star: STAR_SVG });
+  await generateIcons(project.options);
+  await fs.writeFile(project.file("icons", "star.svg"), STAR_SVG.replace("M12 2", "M12 3"));
+  const result = await generateIcons(project.options);
+  assert.deepEqual(result.generated.map((icon) => icon.componentName), ["Star"]);
+  assert.deepEqual(
+    result.skipped.map(({ componentName, reason }) => ({ componentName, reason })),
+    [{ componentName: "Home", reason: "unchanged" }]
+  );
+});
+
+test("generateIcons prunes the components of deleted sources", async (t) => {
+  const project = await createProject(t, { home: HOME_SVG, star: STAR_SVG });
+  await generateIcons(project.options);
+  await fs.remove(project.file("icons", "star.svg"));
+  const result = await generateIcons({ ...project.options, prune: true });
+  assert.deepEqual(result.pruned.map((icon) => icon.componentName), ["Star"]);
+  assert.ok(!(await fs.pathExists(project.file("out", "components", "Star.svelte"))));
+  assert.doesNotMatch(await fs.readFile(project.file("out", "SvgName.ts"), "utf-8"), /'star'/);
+});
+
+test("generateIcons plans the changes of a dry run without writing them", async (t) => {
+  const project = await createProject(t, { home: HOME_SVG });
+  const result = await generateIcons({ ...project.options, dryRun: true });
+  assert.ok(result.planned.some((change) => change.action === "write" && change.file.endsWith("Home.svelte")));
+  assert.ok(!(await fs.pathExists(project.file("out"))));
+});
+
+test("generateIcons does not fail a rebuild of an input without SVGs", async (t) => {
+  const project = await createProject(t, {});
+  await fs.ensureDir(project.file("icons"));
+  const result = await generateIcons({ ...project.options, rebuild: true });
+  assert.deepEqual(result.failed, []);
+  assert.ok(!(await fs.pathExists(project.file("out", "svg-icons.manifest.json"))));
+});
+
+test("checkIcons reports generated files that no longer match their sources", async (t) => {
+  const project = await createProject(t, { home: HOME_SVG, star: STAR_SVG });
+  await generateIcons(project.options);
+  assert.deepEqual(await checkIcons(project.options), { upToDate: true, differences: [], failed: [] });
+
+  await fs.writeFile(project.file("icons", "star.svg"), STAR_SVG.replace("M12 2", "M12 3"));
+  await fs.remove(project.file("icons", "home.svg"));
+  const result = await checkIcons(project.options);
+  assert.equal(result.upToDate, false);
+  const statuses = Object.fromEntries(result.differences.map((difference) => [path.basename(difference.file), difference.status]));
+  assert.equal(statuses["Star.svelte"], "changed");
+  assert.equal(statuses["Home.svelte"], "removed");
+  // A check writes nothing
+  assert.ok(await fs.pathExists(project.file("out", "components", "Home.svelte")));
+});
+
+test("checkIcons fails when an input resolves to no SVG sources", async (t) => {
+  const project = await createProject(t, { home: HOME_SVG });
+  await generateIcons(project.options);
+  await fs.remove(project.file("icons", "home.svg"));
+  const result = await checkIcons(project.options);
+  assert.equal(result.upToDate, false);
+  assert.deepEqual(result.failed.map((failure) => failure.error), ["No SVG sources found"]);
+  assert.ok(result.differences.some((difference) => difference.status === "removed"));
+});
@@ -0,0 +1,78 @@
+// test/iconify.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createIconifyCollection, expandIconifyCollection, parseIconifyInput } from "../src/iconify.js";
+
+const svg = (width, height, body, viewBox = `0 0 ${width} ${height}`) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewBox}">${body}</svg>`;
+const collection = {
+  prefix: "test",
+  width: 24,
+  height: 24,
+  icons: {
+    arrow: { body: '<path d="M0 0"/>' },
+    wide: { body: "<g/>", width: 32 },
+    secret: { body: "<g/>", hidden: true },
+  },
+  aliases: {
+    "arrow-left": { parent: "arrow", hFlip: true },
+    "arrow-down": { parent: "arrow", rotate: 1 },
+    "arrow-up": { parent: "arrow-down", rotate: 2 },
+    broken: { parent: "missing" },
+  },
+};
+const svgsByName = (expanded) => Object.fromEntries(expanded.icons.map((icon) => [icon.name, icon.svg]));
+
+test("expandIconifyCollection applies the collection defaults and the icon's own dimensions", () => {
+  const icons = svgsByName(expandIconifyCollection(collection));
+  assert.equal(icons.arrow, svg(24, 24, '<path d="M0 0"/>'));
+  assert.equal(icons.wide, svg(32, 24, "<g/>"));
+});
+
+test("expandIconifyCollection resolves aliases, adding up their flips and rotations", () => {
+  const icons = svgsByName(expandIconifyCollection(collection));
+  assert.equal(icons["arrow-left"], svg(24, 24, '<g transform="translate(24 0) scale(-1 1)"><path d="M0 0"/></g>'));
+  assert.equal(icons["arrow-down"], svg(24, 24, '<g transform="rotate(90 12 12)"><path d="M0 0"/></g>'));
+  // rotate 1 from arrow-down plus its own 2
+  assert.equal(icons["arrow-up"], svg(24, 24, '<g transform="rotate(-90 12 12)"><path d="M0 0"/></g>'));
+});
+
+test("expandIconifyCollection skips hidden icons and broken aliases unless the filter names them", () => {
+  const expanded = expandIconifyCollection(collection);
+  assert.equal(expanded.prefix, "test");
+  assert.deepEqual(expanded.icons.map((icon) => icon.name).sort(), ["arrow", "arrow-down", "arrow-left", "arrow-up", "wide"]);
+  assert.deepEqual(expandIconifyCollection(collection, ["secret"]).icons.map((icon) => icon.name), ["secret"]);
+});
+
+test("expandIconifyCollection filters by name with * wildcards and lists missing names", () => {
+  const expanded = expandIconifyCollection(collection, ["arrow-*", "home"]);
+  assert.deepEqual(expanded.icons.map((icon) => icon.name).sort(), ["arrow-down", "arrow-left", "arrow-up"]);
+  assert.deepEqual(expanded.missing, ["home"]);
+});
+
+test("expandIconifyCollection rejects JSON that is not a collection", () => {
+  assert.throws(() => expandIconifyCollection({ prefix: "test" }), /Not an Iconify JSON collection/);
+});
+
+test("parseIconifyInput splits the location from the icon filter", () => {
+  assert.deepEqual(parseIconifyInput("icons/mdi.json#home, account-*"), { location: "icons/mdi.json", filter: ["home", "account-*"] });
+  assert.deepEqual(parseIconifyInput("icons/mdi.json"), { location: "icons/mdi.json", filter: [] });
+});
+
+test("createIconifyCollection keeps the most common dimensions as collection defaults", () => {
+  const exported = createIconifyCollection(
+    [
+      { name: "b", markup: svg(24, 24, '<path d="M1 1"/>') },
+      { name: "a", markup: svg(24, 24, '<path d="M0 0"/>') },
+      { name: "wide", markup: svg(32, 24, "<g/>") },
+    ],
+    "test"
+  );
+  assert.deepEqual(exported, {
+    prefix: "test",
+    width: 24,
+    height: 24,
+    icons: { a: { body: '<path d="M0 0"/>' }, b: { body: '<path d="M1 1"/>' }, wide: { body: "<g/>", width: 32 } },
+  });
+  assert.deepEqual(svgsByName(expandIconifyCollection(exported)).wide, svg(32, 24, "<g/>"));
+});
@@ -0,0 +1,43 @@
+// test/sanitize.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sanitizeSvg } from "../src/sanitize.js";
+
+const svg = (content) => `<svg xmlns="http://www.w3.org/2000/svg">${content}</svg>`;
+
+test("sanitizeSvg removes scripts, foreign content and event handlers", () => {
+  const result = sanitizeSvg(svg('<script>alert(1)</script><foreignObject/><path onclick="steal()" d="M0 0h1"/>'));
+  assert.equal(result.svg, svg('<path d="M0 0h1"/>'));
+  assert.deepEqual(result.removed, ["<script>", "<foreignObject>", "onclick handler on <path>"]);
+});
+
+test("sanitizeSvg removes javascript: links and references to other documents", () => {
+  const result = sanitizeSvg(svg('<a href="javascript:alert(1)"><use href="https://example.com/icons.svg#a"/></a>'));
+  assert.equal(result.svg, svg("<a><use/></a>"));
+  assert.deepEqual(result.removed, ['href="javascript:alert(1)" on <a>', 'href="https://example.com/icons.svg#a" on <use>']);
+});
+
+test("sanitizeSvg removes external url() references in attributes, styles and <style> elements", () => {
+  const result = sanitizeSvg(
+    svg('<style>@import url(theme.css);</style><rect fill="url(https://example.com/p)" style="fill:url(https://example.com/p);stroke:red"/>')
+  );
+  assert.equal(result.svg, svg('<rect style="stroke:red"/>'));
+  assert.deepEqual(result.removed, [
+    "<style> with external references",
+    'fill="url(https://example.com/p)" on <rect>',
+    "external style on <rect>",
+  ]);
+});
+
+test("sanitizeSvg removes animations of href and handler attributes", () => {
+  const result = sanitizeSvg(svg('<a><set attributeName="href" to="javascript:alert(1)"/><animate attributeName="opacity"/></a>'));
+  assert.equal(result.svg, svg('<a><animate attributeName="opacity"/></a>'));
+  assert.deepEqual(result.removed, ["<set> of href"]);
+});
+
+test("sanitizeSvg keeps internal references and embedded raster images", () => {
+  const safe = svg(
+    '<defs><linearGradient id="g"/></defs><path fill="url(#g)" d="M0 0h1"/><use href="#g"/><image href="data:image/png;base64,AAAA"/>'
+  );
+  assert.deepEqual(sanitizeSvg(safe), { svg: safe, removed: [] });
+});
@@ -0,0 +1,35 @@
+// test/sheets.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getSpriteSheetSymbolIds, splitSpriteSheet } from "../src/sheets.js";
+
+const svg = (content, attributes = "") => `<svg xmlns="http://www.w3.org/2000/svg"${attributes}>${content}</svg>`;
+
+test("splitSpriteSheet turns every symbol into a standalone SVG with its own viewBox", () => {
+  const sheet = svg('<symbol id="a" viewBox="0 0 24 24"><path d="M0 0h1"/></symbol><symbol id="b" viewBox="0 0 16 16" fill="red"><path d="M1 1h2"/></symbol>');
+  assert.deepEqual(splitSpriteSheet(sheet), [
+    { id: "a", svg: svg('<path d="M0 0h1"/>', ' viewBox="0 0 24 24"') },
+    { id: "b", svg: svg('<path d="M1 1h2"/>', ' viewBox="0 0 16 16" fill="red"') },
+  ]);
+});
+
+test("splitSpriteSheet carries the definitions a symbol references, and only those", () => {
+  const sheet = svg(
+    '<defs><linearGradient id="g"/><linearGradient id="unused"/></defs>' +
+      '<symbol id="a" viewBox="0 0 24 24"><path fill="url(#g)" d="M0 0h1"/></symbol>' +
+      '<symbol id="b" viewBox="0 0 24 24"><use href="#a"/></symbol>'
+  );
+  const [a, b] = splitSpriteSheet(sheet);
+  assert.equal(a.svg, svg('<defs><linearGradient id="g"/></defs><path fill="url(#g)" d="M0 0h1"/>', ' viewBox="0 0 24 24"'));
+  // The referenced symbol brings its own references along
+  assert.match(b.svg, /<symbol id="a"/);
+  assert.match(b.svg, /<linearGradient id="g"\/>/);
+  assert.doesNotMatch(b.svg, /unused/);
+});
+
+test("splitSpriteSheet leaves SVGs that render content outside their symbols alone", () => {
+  const icon = svg('<symbol id="a"><path d="M0 0"/></symbol><use href="#a"/>');
+  assert.deepEqual(getSpriteSheetSymbolIds(icon), []);
+  assert.equal(splitSpriteSheet(icon), null);
+  assert.equal(splitSpriteSheet(svg('<path d="M0 0h1"/>')), null);
+});
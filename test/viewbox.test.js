@@ -0,0 +1,47 @@
+// test/viewbox.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getContentBounds, normalizeViewBox } from "../src/viewbox.js";
+
+const svg = (content, attributes = "") => `<svg xmlns="http://www.w3.org/2000/svg"${attributes}>${content}</svg>`;
+
+test("getContentBounds measures shapes through transforms and includes half the stroke width", () => {
+  assert.deepEqual(getContentBounds(svg('<rect x="2" y="4" width="10" height="5"/>')), { minX: 2, minY: 4, maxX: 12, maxY: 9 });
+  assert.deepEqual(
+    getContentBounds(svg('<g transform="translate(5 5) scale(2)"><circle cx="1" cy="1" r="1" stroke="#000"/></g>')),
+    { minX: 4, minY: 4, maxX: 10, maxY: 10 }
+  );
+});
+
+test("getContentBounds ignores content that is only rendered through references", () => {
+  assert.deepEqual(
+    getContentBounds(svg('<defs><rect width="100" height="100"/></defs><path d="M1 2h3v4"/>')),
+    { minX: 1, minY: 2, maxX: 4, maxY: 6 }
+  );
+  assert.equal(getContentBounds(svg('<defs><rect width="100" height="100"/></defs>')), null);
+});
+
+test("getContentBounds includes the extremes of curves, not only their end points", () => {
+  const bounds = getContentBounds(svg('<path d="M0 0C0 10 10 10 10 0"/>'));
+  assert.equal(bounds.minY, 0);
+  assert.ok(Math.abs(bounds.maxY - 7.5) < 1e-9);
+});
+
+test("normalizeViewBox scales the content onto the grid, centered inside the padding", () => {
+  const normalized = normalizeViewBox(
+    svg('<rect x="10" y="20" width="40" height="20"/>', ' width="100" height="100" viewBox="0 0 100 100"'),
+    24,
+    2
+  );
+  assert.equal(
+    normalized,
+    svg('<g transform="matrix(0.5 0 0 0.5 -3 -3)"><rect x="10" y="20" width="40" height="20"/></g>', ' viewBox="0 0 24 24"')
+  );
+  assert.deepEqual(getContentBounds(normalized), { minX: 2, minY: 7, maxX: 22, maxY: 17 });
+});
+
+test("normalizeViewBox rejects SVGs it cannot measure", () => {
+  assert.throws(() => normalizeViewBox(svg("<text>A</text>"), 24), /Cannot measure the bounds of <text> elements/);
+  assert.throws(() => normalizeViewBox(svg("<defs/>"), 24), /no visible content/);
+  assert.throws(() => normalizeViewBox(svg('<path d="M0 0h1"/>'), 24, 12), /leaves no room/);
+});
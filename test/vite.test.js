@@ -0,0 +1,64 @@
+// test/vite.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { svelteSvgGen } from "../src/vite.js";
+import { WATCH_DEBOUNCE_MS } from "../src/watch.js";
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M3 12l9-9 9 9v9H3z"/></svg>';
+
+// The parts of a Vite dev server the plugin uses: a chokidar-like watcher
+function createDevServer() {
+  const watcher = new EventEmitter();
+  watcher.watched = [];
+  watcher.add = (paths) => watcher.watched.push(...paths);
+  return { watcher };
+}
+function createLogger() {
+  const lines = [];
+  const record = (...args) => lines.push(args.join(" "));
+  return { lines, log: record, warn: record, error: record };
+}
+const pluginContext = { warn() {} };
+
+async function createProject(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "svelte-svg-gen-"));
+  t.after(() => fs.remove(dir));
+  await fs.outputFile(path.join(dir, "icons", "home.svg"), HOME_SVG);
+  return { dir, file: (...parts) => path.join(dir, ...parts) };
+}
+function createPlugin(project, logger) {
+  const plugin = svelteSvgGen({ input: [project.file("icons")], output: project.file("out"), svelte: 5, logger });
+  plugin.configResolved({ root: project.dir });
+  return plugin;
+}
+
+test("the plugin generates the icons at buildStart", async (t) => {
+  const project = await createProject(t);
+  const plugin = createPlugin(project, createLogger());
+  await plugin.buildStart.call(pluginContext);
+  assert.ok(await fs.pathExists(project.file("out", "components", "Home.svelte")));
+  assert.ok(await fs.pathExists(project.file("out", "SvgName.ts")));
+});
+
+test("the plugin watches the inputs on the dev server and keeps one listener per set across rebuilds", async (t) => {
+  const project = await createProject(t);
+  const logger = createLogger();
+  const plugin = createPlugin(project, logger);
+  const server = createDevServer();
+  plugin.configureServer(server);
+  await plugin.buildStart.call(pluginContext);
+  assert.deepEqual(server.watcher.watched, [project.file("icons")]);
+  await plugin.buildStart.call(pluginContext);
+  assert.equal(server.watcher.listenerCount("all"), 1);
+
+  await fs.writeFile(project.file("icons", "home.svg"), HOME_SVG.replace("M3 12", "M4 12"));
+  logger.lines.length = 0;
+  server.watcher.emit("all", "change", project.file("icons", "home.svg"));
+  await new Promise((resolve) => setTimeout(resolve, WATCH_DEBOUNCE_MS + 500));
+  assert.equal(logger.lines.filter((line) => line.includes("Updated:") && line.includes("Home.svelte")).length, 1);
+  assert.match(await fs.readFile(project.file("out", "components", "Home.svelte"), "utf-8"), /d="m4 12/);
+});